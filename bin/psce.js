@@ -8,6 +8,10 @@ const { registerScenarioCommand } = require("../commands/scenario");
 const { registerNetworkCommand } = require("../commands/network");
 const { registerAddressCommand } = require("../commands/address");
 const { registerTestCommand } = require("../commands/test");
+const { registerEmulatorCommand } = require("../commands/emulator");
+const { registerReplCommand } = require("../commands/repl");
+const { registerBenchCommand } = require("../commands/bench");
+const { registerLintCommand } = require("../commands/lint");
 
 const program = new Command();
 
@@ -19,5 +23,9 @@ registerScenarioCommand(program);
 registerNetworkCommand(program);
 registerAddressCommand(program);
 registerTestCommand(program);
+registerEmulatorCommand(program);
+registerReplCommand(program);
+registerBenchCommand(program);
+registerLintCommand(program);
 
 program.parse(process.argv);
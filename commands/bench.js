@@ -0,0 +1,368 @@
+const path = require("path");
+const chalk = require("chalk");
+const PSCESecurityManager = require("../lib/security-manager");
+const { getLibPath } = require("../lib/bundler");
+const {
+  summarizeSamples,
+  loadBaseline,
+  saveBaseline,
+  compareWithBaseline,
+  getBaselineMismatches,
+} = require("../lib/bench");
+const { getWorkspaceInfo } = require("./scenario");
+const {
+  getTarget,
+  getScenario,
+  previewScenario,
+  resolveParams,
+  mapWithConcurrency,
+} = require("./test");
+
+function registerBenchCommand(program) {
+  program
+    .command("bench")
+    .description("Measure /previewScenario latency of a scenario method")
+    .argument("<scenario>", "Scenario name")
+    .requiredOption("-m, --method <method>", "Method name to call")
+    .option("-p, --params <params>", "Method parameters (comma-separated)")
+    .option("--params-json <json>", "Method parameters as a JSON array")
+    .option(
+      "--params-file <file>",
+      "Read method parameters from a JSON array file"
+    )
+    .option(
+      "-n, --network <network>",
+      "Network name (uses current if not specified)"
+    )
+    .option(
+      "-a, --address <address>",
+      "Address name (uses current if not specified)"
+    )
+    .option("-r, --requests <n>", "Number of measured requests", "50")
+    .option("-c, --concurrency <n>", "Requests in flight at a time", "1")
+    .option("--warmup <n>", "Requests sent before measuring", "3")
+    .option("--timeout <ms>", "Timeout of each request in ms", "30000")
+    .option("--save", "Store the results as the baseline")
+    .option(
+      "--force",
+      "With --save, replace the baseline even when this run is slower"
+    )
+    .option(
+      "--threshold <percent>",
+      "Fail when mean, p95 or p99 is slower than the baseline by more than percent",
+      "20"
+    )
+    .option(
+      "--allow-errors",
+      "Do not fail when requests fail or return a non-zero error code"
+    )
+    .option("--json", "Output in JSON format")
+    .action(async (scenarioName, options) => {
+      try {
+        const result = await runBench(scenarioName, options);
+        process.exit(result && result.passed ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Benchmark failed:"), error.message);
+        process.exit(1);
+      }
+    });
+}
+
+async function runBench(scenarioName, options) {
+  const settings = parseSettings(options);
+  if (!settings) return null;
+
+  // Keep stdout clean for the JSON output
+  const log = options.json ? console.error : console.log;
+
+  log(chalk.blue("⏱️  PSCE Benchmark"));
+  log();
+
+  const workspace = await getWorkspaceInfo(log);
+  if (!workspace) return null;
+
+  const scenariosPath = path.join(
+    workspace.workspaceDir,
+    workspace.psceConfig.scenariosDir || "scenarios"
+  );
+  const scenario = await getScenario(
+    scenariosPath,
+    scenarioName,
+    getLibPath(workspace.workspaceDir, workspace.psceConfig),
+    log
+  );
+  if (!scenario) return null;
+
+  const params = await resolveParams(options, scenario, log);
+  if (!params) return null;
+
+  const security = new PSCESecurityManager();
+  const targets = await getTarget(options, workspace.configPath, security, log);
+  if (!targets) return null;
+  const { network, address } = targets[0];
+
+  const payload = {
+    scenarioText: scenario.scenarioText,
+    address: address.address,
+    privateKey: address.privateKey,
+    method: options.method,
+    params,
+  };
+  const send = async () => {
+    const startTime = Date.now();
+    try {
+      const data = await previewScenario(
+        network.url,
+        payload,
+        settings.timeout
+      );
+      return { duration: Date.now() - startTime, error: data.error };
+    } catch (error) {
+      return {
+        duration: Date.now() - startTime,
+        failed: true,
+        message: error.name === "TimeoutError" ? "Timed out" : error.message,
+      };
+    }
+  };
+
+  log(
+    chalk.blue(
+      `🏁 ${scenario.name}.${options.method} on ${network.name} (${network.url})`
+    )
+  );
+  log(
+    chalk.gray(
+      `${settings.requests} requests · concurrency ${settings.concurrency} · warmup ${settings.warmup}`
+    )
+  );
+
+  if (settings.warmup > 0) {
+    await mapWithConcurrency(
+      Array.from({ length: settings.warmup }),
+      settings.concurrency,
+      send
+    );
+  }
+
+  const startTime = Date.now();
+  const samples = await mapWithConcurrency(
+    Array.from({ length: settings.requests }),
+    settings.concurrency,
+    send
+  );
+  const stats = summarizeSamples(samples, Date.now() - startTime);
+
+  printStats(stats, log);
+  printFailedRequests(samples, log);
+
+  // Latencies of failed requests or error responses say little on their own
+  const succeeded = stats.requests - stats.errors;
+  const failure =
+    succeeded === 0
+      ? "No request succeeded"
+      : stats.errors > 0 && !options.allowErrors
+      ? `${stats.errors} of ${stats.requests} request(s) failed`
+      : null;
+  if (failure) {
+    log();
+    log(chalk.red(`❌ ${failure}`));
+    if (succeeded > 0) {
+      log(chalk.gray("Accept failed requests with: --allow-errors"));
+    }
+  }
+
+  const baseline = await loadBaseline(
+    workspace.workspaceDir,
+    scenario,
+    options.method,
+    network.name
+  );
+  // Latencies measured with other params or concurrency are not comparable
+  const mismatches = baseline
+    ? getBaselineMismatches(baseline, {
+        params,
+        concurrency: settings.concurrency,
+      })
+    : [];
+  const comparison =
+    baseline && stats.responses > 0 && mismatches.length === 0
+      ? compareWithBaseline(stats, baseline, settings.threshold)
+      : null;
+  if (comparison) {
+    printComparison(comparison, baseline, settings.threshold, log);
+  } else if (mismatches.length > 0) {
+    log();
+    log(
+      chalk.yellow(
+        "⚠️  Not compared with the baseline, it was measured with other settings:"
+      )
+    );
+    mismatches.forEach((mismatch) => log(chalk.yellow(`   ${mismatch}`)));
+  }
+
+  if (options.save) {
+    if (failure) {
+      log(chalk.red("❌ Baseline not saved"));
+    } else if (comparison && comparison.slower && !options.force) {
+      // A regression must not silently become the new reference
+      log();
+      log(chalk.red("❌ Slower than the baseline, baseline not saved"));
+      log(chalk.gray("Replace it anyway with: --save --force"));
+    } else {
+      const file = await saveBaseline(workspace.workspaceDir, scenario, {
+        method: options.method,
+        network: network.name,
+        params,
+        concurrency: settings.concurrency,
+        stats,
+      });
+      log();
+      log(chalk.gray(`📏 Baseline saved to ${file}`));
+    }
+  } else if (!baseline && !failure) {
+    log();
+    log(chalk.blue("💡 Save these results as a baseline with --save"));
+  }
+
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        {
+          scenario: scenario.name,
+          method: options.method,
+          network: network.name,
+          params,
+          concurrency: settings.concurrency,
+          stats,
+          baseline: baseline
+            ? {
+                savedAt: baseline.savedAt,
+                params: baseline.params,
+                concurrency: baseline.concurrency,
+                stats: baseline.stats,
+              }
+            : null,
+          mismatches,
+          comparison,
+          failure,
+        },
+        null,
+        2
+      )
+    );
+  }
+
+  const slower = comparison ? comparison.slower : false;
+  return { stats, slower, passed: !failure && !slower };
+}
+
+function parseSettings(options) {
+  // Whole values only, "5abc" or "10s" are rejected
+  const integer = (value) => (/^\d+$/.test(value) ? Number(value) : NaN);
+  const settings = {
+    requests: integer(options.requests),
+    concurrency: integer(options.concurrency),
+    warmup: integer(options.warmup),
+    timeout: integer(options.timeout),
+    threshold:
+      String(options.threshold).trim() === "" ? NaN : Number(options.threshold),
+  };
+
+  const invalid = [
+    ["requests", settings.requests > 0],
+    ["concurrency", settings.concurrency > 0],
+    ["warmup", settings.warmup >= 0],
+    ["timeout", settings.timeout > 0],
+    ["threshold", settings.threshold >= 0],
+  ].find(([, valid]) => !valid);
+
+  if (invalid) {
+    console.log(
+      chalk.red(`❌ Invalid --${invalid[0]}: ${options[invalid[0]]}`)
+    );
+    return null;
+  }
+
+  return settings;
+}
+
+function printStats(stats, log) {
+  const ms = (value) => (value === null ? "-" : `${value}ms`);
+
+  log();
+  log(chalk.blue.bold("📊 Latency"));
+  log(`  min         ${ms(stats.min)}`);
+  log(`  mean        ${ms(stats.mean)}`);
+  log(`  p95         ${ms(stats.p95)}`);
+  log(`  p99         ${ms(stats.p99)}`);
+  log(`  max         ${ms(stats.max)}`);
+  log(`  throughput  ${stats.throughput} req/s`);
+
+  const errors = `  errors      ${stats.errors}/${stats.requests} (${(
+    stats.errorRate * 100
+  ).toFixed(1)}%)`;
+  log(stats.errors > 0 ? chalk.red(errors) : errors);
+  if (stats.failed > 0) {
+    log(
+      chalk.gray(
+        `              ${stats.failed} without a response, ${
+          stats.errors - stats.failed
+        } with a non-zero error code`
+      )
+    );
+  }
+}
+
+// Distinct network errors, most frequent first
+function printFailedRequests(samples, log) {
+  const counts = new Map();
+  samples
+    .filter((sample) => sample.failed)
+    .forEach((sample) =>
+      counts.set(sample.message, (counts.get(sample.message) || 0) + 1)
+    );
+  if (counts.size === 0) return;
+
+  log();
+  [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([message, count]) => log(chalk.red(`❌ ${count}× ${message}`)));
+}
+
+function printComparison(comparison, baseline, threshold, log) {
+  log();
+  log(
+    chalk.blue.bold("📏 Baseline"),
+    chalk.gray(
+      `${new Date(baseline.savedAt).toLocaleString()}${
+        baseline.scenarioChanged ? " · scenario changed since" : ""
+      }`
+    )
+  );
+
+  comparison.metrics.forEach((metric) => {
+    const change =
+      metric.change === null
+        ? "-"
+        : `${metric.change > 0 ? "+" : ""}${metric.change.toFixed(1)}%`;
+    const line = `  ${metric.name.padEnd(10)}  ${metric.baseline}ms → ${
+      metric.current
+    }ms  ${change}`;
+
+    if (metric.slower) {
+      log(chalk.red(`${line} ❌`));
+    } else {
+      log(line);
+    }
+  });
+
+  log();
+  if (comparison.slower) {
+    log(chalk.red(`❌ Slower than the baseline by more than ${threshold}%`));
+  } else {
+    log(chalk.green(`✅ Within ${threshold}% of the baseline`));
+  }
+}
+
+module.exports = { registerBenchCommand };
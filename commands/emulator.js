@@ -0,0 +1,106 @@
+const chalk = require("chalk");
+const ScenarioEmulator = require("../lib/emulator");
+
+function registerEmulatorCommand(program) {
+  const emulatorCommand = program
+    .command("emulator")
+    .alias("e")
+    .description("Local offline scenario emulator");
+
+  emulatorCommand
+    .command("start")
+    .description("Start a local node emulating /previewScenario")
+    .option("--port <port>", "Port to listen on", "8080")
+    .option("--host <host>", "Host to bind to", "127.0.0.1")
+    .option("--prefix <prefix>", "Address prefix of the emulated network", "TZ")
+    .option(
+      "--owner <address>",
+      "OWNER_ADDRESS for all scenarios (first caller by default)"
+    )
+    .option("--timeout <ms>", "Scenario execution timeout in ms", "5000")
+    .action(async (options) => {
+      try {
+        await startEmulator(options);
+      } catch (error) {
+        console.error(chalk.red("Emulator start failed:"), error.message);
+        process.exit(1);
+      }
+    });
+}
+
+async function startEmulator(options) {
+  const port = parseInt(options.port, 10);
+  const timeout = parseInt(options.timeout, 10);
+
+  if (isNaN(port) || port < 0 || port > 65535) {
+    console.log(chalk.red(`❌ Invalid port: ${options.port}`));
+    process.exit(1);
+  }
+
+  if (isNaN(timeout) || timeout <= 0) {
+    console.log(chalk.red(`❌ Invalid timeout: ${options.timeout}`));
+    process.exit(1);
+  }
+
+  if (!/^[A-Z]{2}$/.test(options.prefix)) {
+    console.log(chalk.red(`❌ Invalid prefix: ${options.prefix}`));
+    console.log(chalk.gray("Prefix must be two uppercase letters, e.g. TZ"));
+    process.exit(1);
+  }
+
+  const emulator = new ScenarioEmulator({
+    prefix: options.prefix,
+    owner: options.owner,
+    timeout: timeout,
+    onRequest: logRequest,
+  });
+
+  const address = await emulator.listen(port, options.host);
+  const url = `http://${
+    options.host === "0.0.0.0" ? "localhost" : options.host
+  }:${address.port}`;
+
+  console.log(chalk.blue.bold("🧪 PSCE Scenario Emulator"));
+  console.log();
+  console.log(chalk.green(`✅ Listening on ${url}`));
+  console.log(chalk.gray(`Prefix: ${options.prefix}`));
+  console.log(
+    chalk.gray(`Owner: ${options.owner || "first caller of each scenario"}`)
+  );
+  console.log(chalk.gray("Endpoints: /previewScenario, /getStats, /getBlock"));
+  console.log();
+  console.log(chalk.blue("💡 Use it as a network:"));
+  console.log(chalk.gray(`  psce network add --name local --url ${url}`));
+  console.log(chalk.gray("  psce network set local"));
+  console.log();
+  console.log(chalk.gray("Press Ctrl+C to stop"));
+  console.log();
+
+  const shutdown = async () => {
+    console.log();
+    console.log(chalk.yellow("🛑 Stopping emulator..."));
+    await emulator.close();
+    process.exit(0);
+  };
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+function logRequest({ url, status, duration, payload }) {
+  const time = new Date().toLocaleTimeString();
+  const failed = status !== 200 || (payload && payload.error);
+  const color = failed ? chalk.red : chalk.green;
+
+  console.log(
+    chalk.gray(`[${time}]`),
+    color(`${status} ${url}`),
+    chalk.gray(`${duration}ms`)
+  );
+
+  if (payload && Array.isArray(payload.logs)) {
+    payload.logs.forEach((line) => console.log(chalk.gray(`   │ ${line}`)));
+  }
+}
+
+module.exports = { registerEmulatorCommand };
@@ -0,0 +1,177 @@
+const fs = require("fs-extra");
+const path = require("path");
+const chalk = require("chalk");
+const { listScenarios, loadScenario } = require("../lib/scenarios");
+const { lintScenario } = require("../lib/linter");
+const { getLibPath, bundleScenario } = require("../lib/bundler");
+const { getWorkspaceInfo } = require("./scenario");
+
+function registerLintCommand(program) {
+  program
+    .command("lint")
+    .description("Check .psce scenario files for problems before running them")
+    .argument(
+      "[scenarios...]",
+      "Scenario names or .psce files (all scenarios if omitted)"
+    )
+    .option("--json", "Output problems as JSON (for editors and CI)")
+    .option("--quiet", "Report errors only")
+    .action(async (targets, options) => {
+      try {
+        const problems = await runLint(targets, options);
+        if (!problems) process.exit(1);
+        process.exit(problems.some((p) => p.severity === "error") ? 1 : 0);
+      } catch (error) {
+        console.error(chalk.red("Lint failed:"), error.message);
+        process.exit(1);
+      }
+    });
+}
+
+async function runLint(targets, options) {
+  // Keep stdout clean for the JSON output
+  const log = options.json ? console.error : console.log;
+
+  const workspace = await getWorkspaceInfo(log);
+  if (!workspace) return null;
+
+  const { workspaceDir, psceConfig } = workspace;
+  const scenariosPath = path.join(
+    workspaceDir,
+    psceConfig.scenariosDir || "scenarios"
+  );
+
+  const libPath = getLibPath(workspaceDir, psceConfig);
+
+  const scenarios = await resolveTargets(targets, scenariosPath, log);
+  if (!scenarios) return null;
+
+  let problems = [];
+  for (const scenario of scenarios) {
+    const configFile = path.join(scenario.dir, ".scenario-config.json");
+    const configText = (await fs.pathExists(configFile))
+      ? await fs.readFile(configFile, "utf8")
+      : "";
+
+    let dependencies = [];
+    let dependencyError;
+    try {
+      ({ dependencies } = await bundleScenario(scenario, {
+        scenariosPath,
+        libPath,
+      }));
+    } catch (error) {
+      dependencyError = error.message;
+    }
+
+    problems.push(
+      ...lintScenario(scenario, {
+        globals: psceConfig.lintGlobals || [],
+        configText,
+        dependencies,
+        dependencyError,
+      })
+    );
+  }
+
+  if (options.quiet) {
+    problems = problems.filter((problem) => problem.severity === "error");
+  }
+
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        problems.map((problem) => ({
+          ...problem,
+          file: path.relative(process.cwd(), problem.file),
+        })),
+        null,
+        2
+      )
+    );
+    return problems;
+  }
+
+  printProblems(problems, scenarios.length);
+  return problems;
+}
+
+// Scenario names, or paths of .psce files inside the scenarios directory
+async function resolveTargets(targets, scenariosPath, log) {
+  const names =
+    targets.length > 0
+      ? targets.map((target) =>
+          target.endsWith(".psce") ? path.basename(target, ".psce") : target
+        )
+      : await listScenarios(scenariosPath);
+
+  if (names.length === 0) {
+    log(chalk.yellow("⚠️  No scenarios found"));
+    log(chalk.gray(`Scenarios directory: ${scenariosPath}`));
+    return null;
+  }
+
+  const scenarios = [];
+  for (const name of names) {
+    let scenario;
+    try {
+      scenario = await loadScenario(scenariosPath, name);
+    } catch (error) {
+      log(chalk.red(`❌ Failed to load scenario '${name}': ${error.message}`));
+      return null;
+    }
+
+    if (!scenario) {
+      log(chalk.red(`❌ Scenario '${name}' not found`));
+      log(chalk.gray(`Expected file: ${scenariosPath}/${name}/${name}.psce`));
+      return null;
+    }
+    scenarios.push(scenario);
+  }
+
+  return scenarios;
+}
+
+function printProblems(problems, scenarioCount) {
+  console.log(chalk.blue("🔍 PSCE Lint"));
+  console.log();
+
+  const byFile = new Map();
+  problems.forEach((problem) => {
+    if (!byFile.has(problem.file)) byFile.set(problem.file, []);
+    byFile.get(problem.file).push(problem);
+  });
+
+  byFile.forEach((fileProblems, file) => {
+    const relative = path.relative(process.cwd(), file);
+    console.log(chalk.white.bold(relative));
+    fileProblems.forEach((problem) => {
+      const severity =
+        problem.severity === "error"
+          ? chalk.red("error  ")
+          : chalk.yellow("warning");
+      console.log(
+        `  ${chalk.gray(
+          `${relative}:${problem.line}:${problem.column}`
+        )}  ${severity}  ${problem.message}  ${chalk.gray(problem.rule)}`
+      );
+    });
+    console.log();
+  });
+
+  const errors = problems.filter((p) => p.severity === "error").length;
+  const warnings = problems.length - errors;
+
+  if (problems.length === 0) {
+    console.log(
+      chalk.green(`✅ No problems found in ${scenarioCount} scenario(s)`)
+    );
+  } else {
+    const summary = `${problems.length} problem(s) (${errors} error(s), ${warnings} warning(s))`;
+    console.log(
+      errors > 0 ? chalk.red(`❌ ${summary}`) : chalk.yellow(`⚠️  ${summary}`)
+    );
+  }
+}
+
+module.exports = { registerLintCommand };
@@ -225,6 +225,12 @@ Tests are automatically executed against the active network using the \`/preview
 async function createGitignore(projectPath) {
   const gitignoreContent = `# Environment variables
 .env
+
+# Test run history
+.psce-results/
+
+# Packed scenario artifacts
+dist/
 `;
 
   await fs.writeFile(path.join(projectPath, ".gitignore"), gitignoreContent);
@@ -0,0 +1,341 @@
+const readline = require("readline");
+const util = require("util");
+const path = require("path");
+const acorn = require("acorn");
+const chalk = require("chalk");
+const PSCESecurityManager = require("../lib/security-manager");
+const { getScenarioFunctions } = require("../lib/scenario-parser");
+const { getDeclaredMethods } = require("../lib/scenarios");
+const { getLibPath } = require("../lib/bundler");
+const { getWorkspaceInfo } = require("./scenario");
+const { getTarget, getScenario, previewScenario } = require("./test");
+
+const REPL_COMMANDS = {
+  ".help": "Show this help",
+  ".methods": "List the scenario methods and their parameters",
+  ".reload": "Re-read the scenario file",
+  ".exit": "Leave the REPL",
+};
+
+function registerReplCommand(program) {
+  program
+    .command("repl")
+    .description("Call scenario methods interactively through /previewScenario")
+    .argument("<scenario>", "Scenario name")
+    .option(
+      "-n, --network <network>",
+      "Network name (uses current if not specified)"
+    )
+    .option(
+      "-a, --address <address>",
+      "Address name (uses current if not specified)"
+    )
+    .option("--timeout <ms>", "Timeout of each call in ms", "30000")
+    .action(async (scenarioName, options) => {
+      try {
+        await startRepl(scenarioName, options);
+      } catch (error) {
+        console.error(chalk.red("REPL failed:"), error.message);
+        process.exit(1);
+      }
+    });
+}
+
+async function startRepl(scenarioName, options) {
+  const timeout = parseInt(options.timeout, 10);
+  if (isNaN(timeout) || timeout <= 0) {
+    console.log(chalk.red(`❌ Invalid timeout: ${options.timeout}`));
+    process.exit(1);
+  }
+
+  console.log(chalk.blue.bold("🧪 PSCE Scenario REPL"));
+  console.log();
+
+  const workspace = await getWorkspaceInfo();
+  if (!workspace) process.exit(1);
+
+  const scenariosPath = path.join(
+    workspace.workspaceDir,
+    workspace.psceConfig.scenariosDir || "scenarios"
+  );
+  const libPath = getLibPath(workspace.workspaceDir, workspace.psceConfig);
+  let scenario = await getScenario(scenariosPath, scenarioName, libPath);
+  if (!scenario) process.exit(1);
+
+  // Network, address and private key are resolved once for the session
+  const security = new PSCESecurityManager();
+  const targets = await getTarget(options, workspace.configPath, security);
+  if (!targets) process.exit(1);
+  const { network, address } = targets[0];
+
+  let methods = getMethods(scenario);
+  // Returned data of the last call, usable as _ in arguments
+  let last;
+
+  console.log(chalk.gray(`Scenario: ${scenario.name} (${scenario.file})`));
+  console.log(chalk.gray(`Network: ${network.name} (${network.url})`));
+  console.log(chalk.gray(`Address: ${address.name} (${address.address})`));
+  console.log();
+  console.log(
+    chalk.gray(
+      'Call methods like init("TZ...") · Tab completes method names · .help for commands'
+    )
+  );
+  console.log();
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: chalk.cyan(`psce:${scenario.name}> `),
+    completer: (line) => {
+      const candidates = line.startsWith(".")
+        ? Object.keys(REPL_COMMANDS)
+        : methods.map((method) => `${method.name}(`);
+      const hits = candidates.filter((candidate) => candidate.startsWith(line));
+      return [hits.length > 0 ? hits : candidates, line];
+    },
+  });
+
+  rl.on("close", () => {
+    console.log();
+    console.log(chalk.gray("👋 Bye"));
+    process.exit(0);
+  });
+
+  rl.prompt();
+
+  for await (const line of rl) {
+    const input = line.trim();
+
+    if (!input) {
+      // Nothing to run
+    } else if (input === ".exit") {
+      rl.close();
+      return;
+    } else if (input === ".help") {
+      Object.entries(REPL_COMMANDS).forEach(([command, description]) =>
+        console.log(`${chalk.cyan(command.padEnd(10))} ${description}`)
+      );
+      console.log(
+        chalk.gray(
+          "Arguments are JSON-like literals; _ is the returnedData of the last call"
+        )
+      );
+    } else if (input === ".methods") {
+      printMethods(methods);
+    } else if (input === ".reload") {
+      const reloaded = await getScenario(scenariosPath, scenarioName, libPath);
+      if (reloaded) {
+        scenario = reloaded;
+        methods = getMethods(scenario);
+        console.log(chalk.green(`✅ Reloaded ${methods.length} method(s)`));
+      }
+    } else {
+      const result = await callMethod(input, {
+        scenario,
+        methods,
+        network,
+        address,
+        timeout,
+        last,
+      });
+      if (result !== undefined) last = result;
+    }
+
+    rl.prompt();
+  }
+}
+
+// Parse, run and print one method call, returning its returnedData
+async function callMethod(input, context) {
+  const { scenario, methods, network, address, timeout, last } = context;
+
+  let call;
+  try {
+    call = parseCall(input, last);
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    return undefined;
+  }
+
+  if (methods.length > 0 && !methods.some((m) => m.name === call.method)) {
+    console.log(chalk.red(`❌ Unknown method '${call.method}'`));
+    console.log(chalk.gray("Use .methods to list the scenario methods"));
+    return undefined;
+  }
+
+  const startTime = Date.now();
+  try {
+    const data = await previewScenario(
+      network.url,
+      {
+        scenarioText: scenario.scenarioText,
+        address: address.address,
+        privateKey: address.privateKey,
+        method: call.method,
+        params: call.params,
+      },
+      timeout
+    );
+    const duration = Date.now() - startTime;
+    const status =
+      data.error === 0
+        ? chalk.green(`✅ error: 0`)
+        : chalk.red(`❌ error: ${data.error}`);
+
+    console.log(`${status} ${chalk.gray(`· ${duration}ms`)}`);
+    if (Array.isArray(data.logs)) {
+      data.logs.forEach((logLine) =>
+        console.log(chalk.gray(`   │ ${logLine}`))
+      );
+    }
+    console.log(util.inspect(data.returnedData, { colors: true, depth: null }));
+    return data.returnedData;
+  } catch (error) {
+    const message =
+      error.name === "TimeoutError"
+        ? `Timed out after ${timeout}ms`
+        : error.message;
+    console.log(chalk.red(`❌ Network request failed: ${message}`));
+    return undefined;
+  }
+}
+
+/**
+ * Parse a call such as transfer("TZ...", 100, { memo: "x" })
+ * @param {string} input - Line typed in the REPL
+ * @param {any} last - Returned data of the previous call, available as _
+ * @returns {Object} - {method, params}
+ * @throws {Error} - When the input is not a call with literal arguments
+ */
+function parseCall(input, last) {
+  let expression;
+  try {
+    expression = acorn.parseExpressionAt(input, 0, { ecmaVersion: "latest" });
+  } catch (error) {
+    throw new Error(`Syntax error: ${error.message}`);
+  }
+
+  if (input.slice(expression.end).trim()) {
+    throw new Error("Only one method call per line is supported");
+  }
+
+  // A bare method name calls it without arguments
+  if (expression.type === "Identifier") {
+    return { method: expression.name, params: [] };
+  }
+
+  if (
+    expression.type !== "CallExpression" ||
+    expression.callee.type !== "Identifier"
+  ) {
+    throw new Error('Expected a method call, e.g. init("TZ...")');
+  }
+
+  return {
+    method: expression.callee.name,
+    params: expression.arguments.map((node) => evaluateLiteral(node, last)),
+  };
+}
+
+// Evaluate literal syntax only, scenario code never runs locally
+function evaluateLiteral(node, last) {
+  switch (node.type) {
+    case "Literal":
+      if (node.regex) break;
+      return node.value;
+    case "TemplateLiteral":
+      if (node.expressions.length > 0) break;
+      return node.quasis[0].value.cooked;
+    case "UnaryExpression":
+      if (node.operator === "-" || node.operator === "+") {
+        const value = evaluateLiteral(node.argument, last);
+        if (typeof value !== "number") break;
+        return node.operator === "-" ? -value : value;
+      }
+      break;
+    case "ArrayExpression":
+      return node.elements.map((element) => {
+        if (!element || element.type === "SpreadElement") {
+          throw new Error("Array holes and spread are not supported");
+        }
+        return evaluateLiteral(element, last);
+      });
+    case "ObjectExpression": {
+      const object = {};
+      node.properties.forEach((property) => {
+        if (property.type !== "Property" || property.computed) {
+          throw new Error("Only plain object properties are supported");
+        }
+        const key =
+          property.key.type === "Identifier"
+            ? property.key.name
+            : String(property.key.value);
+        object[key] = evaluateLiteral(property.value, last);
+      });
+      return object;
+    }
+    case "Identifier":
+      if (node.name === "_") return last;
+      if (node.name === "undefined") return undefined;
+      throw new Error(
+        `Unknown identifier '${node.name}' (use quotes for strings)`
+      );
+    case "MemberExpression": {
+      const object = evaluateLiteral(node.object, last);
+      const key = node.computed
+        ? evaluateLiteral(node.property, last)
+        : node.property.name;
+      return object == null ? undefined : object[key];
+    }
+    default:
+      break;
+  }
+
+  throw new Error(
+    `Unsupported argument: ${node.type} (use JSON-like literals)`
+  );
+}
+
+// Methods defined in the .psce file, plus declared ones that are missing
+function getMethods(scenario) {
+  let functions = [];
+  try {
+    functions = getScenarioFunctions(scenario.content);
+  } catch (error) {
+    console.log(
+      chalk.yellow(
+        `⚠️  Could not parse ${scenario.name}.psce: ${error.message}`
+      )
+    );
+  }
+
+  const methods = functions.map((fn) => ({
+    name: fn.name,
+    params: fn.params,
+    description: fn.doc.description,
+  }));
+  getDeclaredMethods(scenario.config).forEach((name) => {
+    if (!methods.some((method) => method.name === name)) {
+      methods.push({ name, params: [], description: "" });
+    }
+  });
+
+  return methods;
+}
+
+function printMethods(methods) {
+  if (methods.length === 0) {
+    console.log(chalk.gray("No methods found"));
+    return;
+  }
+
+  methods.forEach((method) => {
+    console.log(
+      `${chalk.cyan(method.name)}(${method.params.join(", ")})` +
+        (method.description ? chalk.gray(` - ${method.description}`) : "")
+    );
+  });
+}
+
+module.exports = { registerReplCommand };
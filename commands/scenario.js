@@ -1,7 +1,43 @@
 const chalk = require("chalk");
 const fs = require("fs-extra");
 const path = require("path");
+const util = require("util");
 const { askInput, askConfirmation } = require("../lib/utils");
+const PSCESecurityManager = require("../lib/security-manager");
+const { isValidAddress } = require("../lib/wallet/isValidAddress");
+const {
+  listScenarios,
+  readScenarioConfig,
+  loadScenario,
+  hasAnyTag,
+  getDeclaredMethods,
+  loadScenarioTests,
+} = require("../lib/scenarios");
+const { getScenarioFunctions } = require("../lib/scenario-parser");
+const { getResultsDir } = require("../lib/history");
+const {
+  getTemplateDirs,
+  listTemplates,
+  findTemplate,
+  renderTemplate,
+} = require("../lib/scenario-templates");
+const { buildMethodEntries, diffMethodEntries } = require("../lib/method-sync");
+const {
+  renderScenarioReadme,
+  renderDocsIndex,
+} = require("../lib/scenario-docs");
+const { getLibPath, getNamespace, bundleScenario } = require("../lib/bundler");
+const {
+  createManifest,
+  getBuildTime,
+  signManifest,
+  writeArtifact,
+  readArtifact,
+  verifyArtifact,
+} = require("../lib/artifacts");
+const packageInfo = require("../package.json");
+
+const SCENARIO_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
 
 function registerScenarioCommand(program) {
   const scenarioCommand = program
@@ -15,161 +51,1488 @@ function registerScenarioCommand(program) {
     .option("--name <name>", "Scenario name")
     .option("--network <network>", "Target network")
     .option("--tags <tags>", "Comma-separated tags")
+    .option(
+      "--template <name>",
+      "Start from a template (see: psce scenario templates)"
+    )
     .action(async (options) => {
       try {
-        await addScenario(options);
+        const added = await addScenario(options);
+        process.exit(added ? 0 : 1);
       } catch (error) {
         console.error(chalk.red("Scenario creation failed:"), error.message);
         process.exit(1);
       }
     });
+
+  scenarioCommand
+    .command("templates")
+    .description("List templates for psce scenario add --template")
+    .option("--json", "Output in JSON format")
+    .action(async (options) => {
+      try {
+        const listed = await listScenarioTemplates(options);
+        process.exit(listed ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Template list failed:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  scenarioCommand
+    .command("list")
+    .description("List scenarios in the workspace")
+    .option("--tag <tags>", "Only scenarios with any of the tags")
+    .option("--json", "Output in JSON format")
+    .action(async (options) => {
+      try {
+        const listed = await listWorkspaceScenarios(options);
+        process.exit(listed ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Scenario list failed:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  scenarioCommand
+    .command("show <name>")
+    .description("Show scenario metadata, method signatures and files")
+    .option("--json", "Output in JSON format")
+    .action(async (name, options) => {
+      try {
+        const found = await showScenario(name, options);
+        process.exit(found ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Scenario show failed:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  scenarioCommand
+    .command("rename <old> <new>")
+    .description("Rename a scenario and the files that embed its name")
+    .action(async (oldName, newName) => {
+      try {
+        const renamed = await copyScenario(oldName, newName, { move: true });
+        process.exit(renamed ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Scenario rename failed:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  scenarioCommand
+    .command("clone <src> <dst>")
+    .description("Copy a scenario under a new name")
+    .action(async (sourceName, targetName) => {
+      try {
+        const cloned = await copyScenario(sourceName, targetName, {
+          move: false,
+        });
+        process.exit(cloned ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Scenario clone failed:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  scenarioCommand
+    .command("remove <name>")
+    .description("Remove a scenario directory")
+    .option("--force", "Skip confirmation prompt")
+    .action(async (name, options) => {
+      try {
+        const removed = await removeScenario(name, options);
+        process.exit(removed ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Scenario remove failed:"), error.message);
+        process.exit(1);
+      }
+    });
+  scenarioCommand
+    .command("sync [name]")
+    .description(
+      "Update .scenario-config.json methods from the .psce JSDoc (all scenarios if no name)"
+    )
+    .option("--check", "Only report stale configs, exit 1 if any")
+    .action(async (name, options) => {
+      try {
+        const synced = await syncScenarios(name, options);
+        process.exit(synced ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Scenario sync failed:"), error.message);
+        process.exit(1);
+      }
+    });
+  scenarioCommand
+    .command("docs [name]")
+    .description(
+      "Regenerate scenario READMEs from the .psce JSDoc, config and tests"
+    )
+    .option("--all", "Document every scenario")
+    .option(
+      "--site [dir]",
+      "Also write a Markdown site of all scenarios (default: docs)"
+    )
+    .option("--check", "Only report stale documentation, exit 1 if any")
+    .action(async (name, options) => {
+      try {
+        const documented = await generateDocs(name, options);
+        process.exit(documented ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Scenario docs failed:"), error.message);
+        process.exit(1);
+      }
+    });
+  scenarioCommand
+    .command("pack <name>")
+    .description(
+      "Build a deployable artifact with the bundled scenario, a manifest and a signature"
+    )
+    .option(
+      "-a, --address <address>",
+      "Address that signs the manifest (uses current if not specified)"
+    )
+    .option("-o, --output <dir>", "Output directory (default: dist)")
+    .option("--no-sign", "Do not sign the manifest")
+    .action(async (name, options) => {
+      try {
+        const packed = await packScenario(name, options);
+        process.exit(packed ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Scenario pack failed:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  scenarioCommand
+    .command("verify <artifact>")
+    .description("Check the hash and signature of a packed scenario")
+    .option(
+      "-a, --address <address>",
+      "Address (or saved address name) that must have signed the artifact (default: trustedSigners in psce.json)"
+    )
+    .action(async (artifactPath, options) => {
+      try {
+        const verified = await verifyScenarioArtifact(artifactPath, options);
+        process.exit(verified ? 0 : 1);
+      } catch (error) {
+        console.error(
+          chalk.red("Artifact verification failed:"),
+          error.message
+        );
+        process.exit(1);
+      }
+    });
+}
+
+function validateScenarioName(name) {
+  if (SCENARIO_NAME_PATTERN.test(name)) return true;
+
+  console.log(chalk.red(`❌ Invalid scenario name '${name}'`));
+  console.log(
+    chalk.gray(
+      "Scenario name can only contain letters, numbers, underscores, and hyphens"
+    )
+  );
+  return false;
+}
+
+async function addScenario(options) {
+  console.log(chalk.blue.bold("🎬 Adding New Scenario"));
+  console.log();
+
+  // Check workspace and get configuration
+  const workspaceInfo = await getWorkspaceInfo();
+  if (!workspaceInfo) return false;
+
+  const { workspaceDir, psceConfig } = workspaceInfo;
+
+  // Get scenario name from options or ask user
+  let scenarioName = options.name;
+  if (!scenarioName) {
+    scenarioName = await askInput("Enter scenario name: ", (input) => {
+      const trimmed = input.trim();
+      if (!trimmed) return "Scenario name is required";
+      if (!SCENARIO_NAME_PATTERN.test(trimmed)) {
+        return "Scenario name can only contain letters, numbers, underscores, and hyphens";
+      }
+      return true;
+    });
+  }
+
+  // Validate scenario name
+  if (!validateScenarioName(scenarioName)) return false;
+
+  // Resolve the template before asking anything else
+  let template = null;
+  if (options.template) {
+    template = await findTemplate(
+      options.template,
+      getTemplateDirs(workspaceDir, psceConfig)
+    );
+    if (!template) {
+      console.log(chalk.red(`❌ Template '${options.template}' not found`));
+      console.log(chalk.gray("List templates with: psce scenario templates"));
+      return false;
+    }
+  }
+
+  // Get tags from options or ask user
+  let tags = options.tags;
+  if (!tags) {
+    tags = await askInput(
+      "Enter tags (comma-separated, optional): ",
+      () => true
+    );
+  }
+
+  // Parse and validate tags
+  const tagList = tags
+    ? tags
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter((tag) => tag)
+    : [];
+  const validTags = tagList.filter((tag) => /^[a-zA-Z0-9_-]+$/.test(tag));
+  const scenarioTags = template
+    ? [...new Set([...template.tags, ...validTags])]
+    : validTags;
+
+  if (tagList.length !== validTags.length) {
+    console.log(chalk.yellow("⚠️ Some tags were invalid and will be ignored"));
+    console.log(
+      chalk.gray(
+        "Tags can only contain letters, numbers, underscores, and hyphens"
+      )
+    );
+  }
+
+  // Get network from options or ask user
+  let network = options.network;
+  if (!network) {
+    network = await askInput(
+      "Enter target network URL (optional): ",
+      () => true
+    );
+  }
+
+  // Use provided network or default
+  const networks =
+    network && network.trim() ? [network.trim()] : ["https://chain_network"];
+
+  // Get scenarios directory from config
+  const scenariosDir = psceConfig.scenariosDir || "scenarios";
+  const scenariosPath = path.join(workspaceDir, scenariosDir);
+  const scenarioPath = path.join(scenariosPath, scenarioName);
+
+  // Check if scenario already exists
+  if (await fs.pathExists(scenarioPath)) {
+    console.log(chalk.red(`❌ Scenario '${scenarioName}' already exists`));
+    const overwrite = await askConfirmation("Overwrite existing scenario?");
+    if (!overwrite) {
+      console.log(chalk.yellow("⚠️ Scenario creation cancelled"));
+      return false;
+    }
+    await fs.remove(scenarioPath);
+  }
+
+  console.log(chalk.yellow(`📁 Creating scenario '${scenarioName}'...`));
+
+  try {
+    // Create scenario directory
+    await fs.ensureDir(scenarioPath);
+
+    // Create scenario config
+    await createScenarioConfig(
+      scenarioPath,
+      scenarioName,
+      scenarioTags,
+      networks,
+      template
+    );
+
+    // Create scenario README
+    await createScenarioReadme(
+      scenarioPath,
+      scenarioName,
+      scenarioTags,
+      networks,
+      template
+    );
+
+    if (template) {
+      // Template .psce file and tests
+      const written = await renderTemplate(
+        template,
+        scenarioPath,
+        scenarioName
+      );
+      const testsPath = path.join(scenarioPath, "tests");
+      await fs.ensureDir(testsPath);
+      await createTestsReadme(testsPath, scenarioName);
+      await syncScenarioConfig(scenarioPath, scenarioName);
+
+      console.log(chalk.green("✅ Scenario created successfully!"));
+      console.log(chalk.gray(`Template: ${template.name}`));
+      console.log();
+      console.log(chalk.cyan("📁 Created files:"));
+      console.log(chalk.gray(`   ${scenarioPath}/`));
+      [
+        ...written,
+        path.join("tests", "README.md"),
+        ".scenario-config.json",
+        "README.md",
+      ].forEach((file, index, files) =>
+        console.log(
+          chalk.gray(`   ${index === files.length - 1 ? "└──" : "├──"} ${file}`)
+        )
+      );
+    } else {
+      // Create main .psce file
+      await createScenarioFile(scenarioPath, scenarioName);
+      await syncScenarioConfig(scenarioPath, scenarioName);
+
+      // Create tests structure inside scenario
+      await createScenarioTestsStructure(scenarioPath, scenarioName);
+
+      console.log(chalk.green("✅ Scenario created successfully!"));
+      console.log();
+      console.log(chalk.cyan("📁 Created structure:"));
+      console.log(chalk.gray(`   ${scenarioPath}/`));
+      console.log(chalk.gray(`   ├── ${scenarioName}.psce`));
+      console.log(chalk.gray(`   ├── tests/`));
+      console.log(chalk.gray(`   │   ├── ${scenarioName}.test.js`));
+      console.log(chalk.gray(`   │   └── README.md`));
+      console.log(chalk.gray(`   ├── .scenario-config.json`));
+      console.log(chalk.gray(`   └── README.md`));
+    }
+    console.log();
+    console.log(chalk.blue("💡 Next steps:"));
+    console.log(chalk.gray(`   Edit ${scenarioPath}/${scenarioName}.psce`));
+    console.log(chalk.gray(`   psce test ${scenarioName}`));
+    return true;
+  } catch (error) {
+    console.log(chalk.red("❌ Failed to create scenario:"), error.message);
+
+    // Cleanup on failure
+    try {
+      if (await fs.pathExists(scenarioPath)) {
+        await fs.remove(scenarioPath);
+        console.log(chalk.gray("🧹 Cleaned up partial scenario directory"));
+      }
+    } catch (cleanupError) {
+      console.log(chalk.yellow("⚠️ Failed to cleanup:"), cleanupError.message);
+    }
+    return false;
+  }
+}
+
+async function listScenarioTemplates(options) {
+  const workspaceInfo = await getWorkspaceInfo();
+  if (!workspaceInfo) return false;
+
+  const templateDirs = getTemplateDirs(
+    workspaceInfo.workspaceDir,
+    workspaceInfo.psceConfig
+  );
+  const templates = await listTemplates(templateDirs);
+
+  if (options.json) {
+    console.log(JSON.stringify(templates, null, 2));
+    return true;
+  }
+
+  console.log(chalk.blue.bold("🧩 Scenario Templates"));
+  console.log();
+
+  templates.forEach((template) => {
+    console.log(
+      `${chalk.green("●")} ${chalk.white.bold(template.name)}` +
+        (template.builtIn ? "" : chalk.cyan(" (workspace)"))
+    );
+    if (template.description) {
+      console.log(chalk.gray(`   ${template.description}`));
+    }
+    console.log(
+      chalk.gray(
+        `   Methods: ${
+          template.methods.map((entry) => entry.method).join(", ") || "-"
+        }`
+      )
+    );
+    if (!template.builtIn) console.log(chalk.gray(`   ${template.dir}`));
+    console.log();
+  });
+
+  if (templateDirs.length === 0) {
+    console.log(
+      chalk.gray(
+        'Add team templates with "templateDirs": ["templates"] in psce.json'
+      )
+    );
+  }
+  console.log(
+    chalk.blue(
+      "💡 Use one with: psce scenario add --name <name> --template <template>"
+    )
+  );
+  return true;
+}
+
+async function listWorkspaceScenarios(options) {
+  const workspaceInfo = await getWorkspaceInfo();
+  if (!workspaceInfo) return false;
+
+  const scenariosPath = getScenariosPath(workspaceInfo);
+  const tags = options.tag
+    ? options.tag
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter((tag) => tag)
+    : null;
+
+  const scenarios = [];
+  for (const name of await listScenarios(scenariosPath)) {
+    let config;
+    try {
+      config = await readScenarioConfig(path.join(scenariosPath, name));
+    } catch (error) {
+      // Listed with the error so a broken config does not hide the scenario
+      if (!tags) scenarios.push({ name, error: error.message });
+      continue;
+    }
+
+    if (tags && !hasAnyTag(config, tags)) continue;
+
+    scenarios.push({
+      name,
+      version: config.version || null,
+      description: config.description || "",
+      tags: Array.isArray(config.tags) ? config.tags : [],
+      networks: Array.isArray(config.networks) ? config.networks : [],
+      methods: getDeclaredMethods(config).length,
+    });
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(scenarios, null, 2));
+    return true;
+  }
+
+  console.log(chalk.blue.bold("🎬 Scenarios"));
+  console.log();
+
+  if (scenarios.length === 0) {
+    console.log(
+      chalk.gray(
+        tags ? `No scenarios tagged ${tags.join(", ")}.` : "No scenarios found."
+      )
+    );
+    console.log(chalk.gray("Add a scenario with: psce scenario add"));
+    return true;
+  }
+
+  scenarios.forEach((scenario) => {
+    if (scenario.error) {
+      console.log(`${chalk.red("●")} ${chalk.white(scenario.name)}`);
+      console.log(
+        chalk.red(`   Invalid .scenario-config.json: ${scenario.error}`)
+      );
+      console.log();
+      return;
+    }
+
+    console.log(
+      `${chalk.green("●")} ${chalk.white.bold(scenario.name)}` +
+        (scenario.version ? chalk.gray(` v${scenario.version}`) : "")
+    );
+    if (scenario.description) {
+      console.log(chalk.gray(`   ${scenario.description}`));
+    }
+    console.log(chalk.gray(`   Tags: ${scenario.tags.join(", ") || "-"}`));
+    console.log(
+      chalk.gray(`   Networks: ${scenario.networks.join(", ") || "-"}`)
+    );
+    console.log(chalk.gray(`   Methods: ${scenario.methods}`));
+    console.log();
+  });
+
+  console.log(
+    chalk.gray(`${scenarios.length} scenario(s) in ${scenariosPath}`)
+  );
+  return true;
+}
+
+async function showScenario(name, options) {
+  const workspaceInfo = await getWorkspaceInfo();
+  if (!workspaceInfo) return false;
+
+  const scenariosPath = getScenariosPath(workspaceInfo);
+  const scenario = await loadScenario(scenariosPath, name);
+  if (!scenario) {
+    console.log(chalk.red(`❌ Scenario '${name}' not found`));
+    const names = await listScenarios(scenariosPath);
+    if (names.length > 0) {
+      console.log(chalk.gray(`Available scenarios: ${names.join(", ")}`));
+    }
+    return false;
+  }
+
+  let functions = [];
+  let parseError = null;
+  try {
+    functions = getScenarioFunctions(scenario.content);
+  } catch (error) {
+    parseError = error.message;
+  }
+
+  const declared = getDeclaredMethods(scenario.config);
+  const files = await getScenarioFiles(scenario.dir);
+
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        {
+          name: scenario.name,
+          dir: scenario.dir,
+          config: scenario.config,
+          methods: functions.map((fn) => ({
+            ...fn,
+            declared: declared.includes(fn.name),
+          })),
+          parseError,
+          files,
+        },
+        null,
+        2
+      )
+    );
+    return true;
+  }
+
+  const { config } = scenario;
+  console.log(
+    chalk.blue.bold(`🎬 ${scenario.name}`) +
+      (config.version ? chalk.gray(` v${config.version}`) : "")
+  );
+  if (config.description) console.log(chalk.gray(config.description));
+  console.log();
+
+  console.log(chalk.cyan("📋 Metadata:"));
+  console.log(chalk.gray(`   Directory: ${scenario.dir}`));
+  console.log(chalk.gray(`   Author: ${config.author || "-"}`));
+  console.log(
+    chalk.gray(
+      `   Tags: ${
+        (Array.isArray(config.tags) && config.tags.join(", ")) || "-"
+      }`
+    )
+  );
+  console.log(
+    chalk.gray(
+      `   Networks: ${
+        (Array.isArray(config.networks) && config.networks.join(", ")) || "-"
+      }`
+    )
+  );
+  console.log(
+    chalk.gray(
+      `   Dependencies: ${
+        (Array.isArray(config.dependencies) &&
+          config.dependencies.join(", ")) ||
+        "-"
+      }`
+    )
+  );
+  console.log(chalk.gray(`   Test directory: ${config.testDir || "tests"}`));
+  if (config.roles) {
+    console.log(
+      chalk.gray(`   Roles: ${Object.keys(config.roles).join(", ")}`)
+    );
+  }
+  console.log();
+
+  console.log(chalk.cyan("🔧 Methods:"));
+  if (parseError) {
+    console.log(
+      chalk.red(`   ❌ Could not parse ${scenario.name}.psce: ${parseError}`)
+    );
+  } else if (functions.length === 0) {
+    console.log(chalk.gray("   No functions defined"));
+  }
+  functions.forEach((fn) => {
+    console.log(
+      `   ${chalk.white(formatSignature(fn))}` +
+        // Only flagged when the config lists methods at all
+        (declared.length === 0 || declared.includes(fn.name)
+          ? ""
+          : chalk.yellow(" (not declared)"))
+    );
+    if (fn.doc.description) {
+      console.log(chalk.gray(`      ${fn.doc.description.split("\n")[0]}`));
+    }
+    fn.doc.params.forEach((param) => {
+      if (param.description) {
+        console.log(chalk.gray(`      ${param.name}: ${param.description}`));
+      }
+    });
+  });
+  declared
+    .filter((method) => !functions.some((fn) => fn.name === method))
+    .forEach((method) =>
+      console.log(
+        `   ${chalk.white(method)}${chalk.red(" (declared, not defined)")}`
+      )
+    );
+  console.log();
+
+  console.log(chalk.cyan("📁 Files:"));
+  files.forEach((file) => {
+    console.log(
+      chalk.gray(`   ${file.path.padEnd(40)} ${formatSize(file.size)}`)
+    );
+  });
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  console.log(chalk.gray(`   ${files.length} file(s), ${formatSize(total)}`));
+
+  return true;
+}
+
+// Rename (move) or clone a scenario, then rewrite the name in its files
+async function copyScenario(sourceName, targetName, { move }) {
+  const workspaceInfo = await getWorkspaceInfo();
+  if (!workspaceInfo) return false;
+
+  console.log(
+    chalk.blue.bold(move ? "✏️  Renaming Scenario" : "📋 Cloning Scenario")
+  );
+  console.log();
+
+  if (!validateScenarioName(targetName)) return false;
+
+  const scenariosPath = getScenariosPath(workspaceInfo);
+  const source = await loadScenario(scenariosPath, sourceName);
+  if (!source) {
+    console.log(chalk.red(`❌ Scenario '${sourceName}' not found`));
+    return false;
+  }
+
+  const targetDir = path.join(scenariosPath, targetName);
+  if (await fs.pathExists(targetDir)) {
+    console.log(chalk.red(`❌ Scenario '${targetName}' already exists`));
+    return false;
+  }
+
+  // Scenarios bundling the renamed one follow it to its new name, which
+  // must then be usable as their namespace
+  const dependents = move
+    ? await findDependents(scenariosPath, sourceName)
+    : [];
+  const namespaces =
+    dependents.length > 0
+      ? [getNamespace(sourceName), getNamespace(targetName)]
+      : [];
+
+  if (move) {
+    await fs.move(source.dir, targetDir);
+  } else {
+    await fs.copy(source.dir, targetDir);
+  }
+
+  const changed = await rewriteScenarioName(
+    targetDir,
+    source.config,
+    sourceName,
+    targetName
+  );
+
+  // The bench baseline measures the renamed scenario, a clone starts fresh
+  if (move) {
+    const benchDir = path.join(
+      getResultsDir(workspaceInfo.workspaceDir),
+      "bench"
+    );
+    const baseline = path.join(benchDir, `${sourceName}.json`);
+    if (await fs.pathExists(baseline)) {
+      const target = path.join(benchDir, `${targetName}.json`);
+      await fs.move(baseline, target);
+      changed.push(
+        `${path.relative(
+          workspaceInfo.workspaceDir,
+          baseline
+        )} → ${path.basename(target)}`
+      );
+    }
+  }
+  await updateDependents(dependents, sourceName, targetName);
+
+  console.log(
+    chalk.green(
+      `✅ Scenario '${sourceName}' ${
+        move ? "renamed" : "cloned"
+      } to '${targetName}'`
+    )
+  );
+  console.log(chalk.gray(`   ${targetDir}/`));
+  changed.forEach((file) => console.log(chalk.gray(`   ✏️  ${file}`)));
+  dependents.forEach((dependent) =>
+    console.log(
+      chalk.gray(
+        `   ✏️  ${path.relative(
+          workspaceInfo.workspaceDir,
+          path.join(dependent.dir, ".scenario-config.json")
+        )}`
+      )
+    )
+  );
+
+  const [oldNamespace, newNamespace] = namespaces;
+  if (oldNamespace !== newNamespace) {
+    console.log();
+    console.log(
+      chalk.yellow(
+        `⚠️  Code of ${dependents
+          .map((dependent) => dependent.name)
+          .join(
+            ", "
+          )} must now call ${newNamespace}.<function>() instead of ${oldNamespace}.<function>()`
+      )
+    );
+  }
+  console.log();
+  console.log(chalk.blue("💡 Next steps:"));
+  console.log(chalk.gray(`   psce test ${targetName}`));
+  return true;
+}
+
+/**
+ * Rewrite a scenario name embedded in the files of a scenario directory:
+ * the .psce and test file names, the config name, the READMEs, the scenario
+ * field of test files and the snapshot file
+ * @param {string} dir - Scenario directory, already at its new location
+ * @param {Object} config - Scenario config before the rename
+ * @param {string} oldName - Previous scenario name
+ * @param {string} newName - New scenario name
+ * @returns {Promise<string[]>} - Changed files relative to the directory
+ */
+async function rewriteScenarioName(dir, config, oldName, newName) {
+  const changed = [];
+  const word = new RegExp(`(?<![\\w-])${escapeRegExp(oldName)}(?![\\w-])`, "g");
+
+  const renameFile = async (from, to) => {
+    if (!(await fs.pathExists(path.join(dir, from)))) return;
+    await fs.move(path.join(dir, from), path.join(dir, to));
+    changed.push(`${from} → ${to}`);
+  };
+  const rewriteFile = async (file, rewrite) => {
+    const filePath = path.join(dir, file);
+    if (!(await fs.pathExists(filePath))) return;
+    const content = await fs.readFile(filePath, "utf8");
+    const updated = rewrite(content);
+    if (updated !== content) {
+      await fs.writeFile(filePath, updated);
+      changed.push(file);
+    }
+  };
+
+  await renameFile(`${oldName}.psce`, `${newName}.psce`);
+
+  const configFile = path.join(dir, ".scenario-config.json");
+  if (await fs.pathExists(configFile)) {
+    const updated = { ...config };
+    if (updated.name === oldName) updated.name = newName;
+    if (updated.description === `PSCE scenario: ${oldName}`) {
+      updated.description = `PSCE scenario: ${newName}`;
+    }
+    if (!util.isDeepStrictEqual(updated, config)) {
+      await fs.writeJson(configFile, updated, { spaces: 2 });
+      changed.push(".scenario-config.json");
+    }
+  }
+
+  // READMEs are prose, every mention of the name is replaced except a tag
+  // that happens to equal it
+  const tags = Array.isArray(config.tags) ? config.tags : [];
+  await rewriteFile("README.md", (content) =>
+    content
+      .split("\n")
+      .map((line) =>
+        tags.includes(oldName) && line.trim() === `- ${oldName}`
+          ? line
+          : line.replace(word, newName)
+      )
+      .join("\n")
+  );
+
+  const testDir = config.testDir || "tests";
+  await rewriteFile(path.join(testDir, "README.md"), (content) =>
+    content.replace(word, newName)
+  );
+
+  await renameFile(
+    path.join(testDir, `${oldName}.test.js`),
+    path.join(testDir, `${newName}.test.js`)
+  );
+  await renameFile(
+    path.join(testDir, "__snapshots__", `${oldName}.snap.json`),
+    path.join(testDir, "__snapshots__", `${newName}.snap.json`)
+  );
+
+  // Test code only changes where it refers to the scenario itself
+  const testPath = path.join(dir, testDir);
+  const testFiles = (await fs.pathExists(testPath))
+    ? (await fs.readdir(testPath)).filter((file) => file.endsWith(".test.js"))
+    : [];
+  const name = escapeRegExp(oldName);
+  for (const file of testFiles) {
+    await rewriteFile(path.join(testDir, file), (content) =>
+      content
+        .replace(
+          new RegExp(`(\\bscenario\\s*:\\s*)(["'\`])${name}\\2`, "g"),
+          `$1$2${newName}$2`
+        )
+        .replace(
+          new RegExp(`(?<![\\w-])${name}\\.psce\\b`, "g"),
+          `${newName}.psce`
+        )
+        .replace(
+          new RegExp(`(psce test )${name}(?![\\w-])`, "g"),
+          `$1${newName}`
+        )
+    );
+  }
+
+  return changed;
+}
+
+async function removeScenario(name, options) {
+  const workspaceInfo = await getWorkspaceInfo();
+  if (!workspaceInfo) return false;
+
+  console.log(chalk.blue.bold("🗑️  Removing Scenario"));
+  console.log();
+
+  const scenario = await loadScenario(getScenariosPath(workspaceInfo), name);
+  if (!scenario) {
+    console.log(chalk.red(`❌ Scenario '${name}' not found`));
+    return false;
+  }
+
+  const dependents = await findDependents(
+    getScenariosPath(workspaceInfo),
+    name
+  );
+  if (dependents.length > 0) {
+    console.log(
+      chalk.red(
+        `❌ Scenario '${name}' is a dependency of ${dependents
+          .map((dependent) => dependent.name)
+          .join(", ")}`
+      )
+    );
+    console.log(
+      chalk.gray(`   Remove 'scenario:${name}' from their dependencies first`)
+    );
+    return false;
+  }
+
+  const files = await getScenarioFiles(scenario.dir);
+  console.log(chalk.cyan("📁 Scenario:"), scenario.dir);
+  console.log(chalk.gray(`   ${files.length} file(s) will be deleted`));
+  console.log();
+
+  // Confirmation (unless --force flag is used)
+  if (!options.force) {
+    const proceed = await askConfirmation(
+      `Are you sure you want to remove scenario '${name}'?`
+    );
+    if (!proceed) {
+      console.log(chalk.yellow("Scenario removal cancelled"));
+      return false;
+    }
+  }
+
+  await fs.remove(scenario.dir);
+  console.log(chalk.green(`✅ Scenario '${name}' removed`));
+  return true;
+}
+
+// Scenarios listing "scenario:<name>" in their dependencies
+async function findDependents(scenariosPath, name) {
+  const dependents = [];
+
+  for (const other of await listScenarios(scenariosPath)) {
+    if (other === name) continue;
+    const scenario = await loadScenario(scenariosPath, other);
+    const dependencies = scenario.config.dependencies;
+    if (
+      Array.isArray(dependencies) &&
+      dependencies.includes(`scenario:${name}`)
+    ) {
+      dependents.push(scenario);
+    }
+  }
+
+  return dependents;
+}
+
+// Point the dependencies of other scenarios at the renamed scenario
+async function updateDependents(dependents, oldName, newName) {
+  for (const dependent of dependents) {
+    const config = {
+      ...dependent.config,
+      dependencies: dependent.config.dependencies.map((dependency) =>
+        dependency === `scenario:${oldName}`
+          ? `scenario:${newName}`
+          : dependency
+      ),
+    };
+    await fs.writeJson(
+      path.join(dependent.dir, ".scenario-config.json"),
+      config,
+      { spaces: 2 }
+    );
+  }
+}
+
+// Regenerate the config methods of one or all scenarios, --check only reports
+async function syncScenarios(name, options) {
+  const workspaceInfo = await getWorkspaceInfo();
+  if (!workspaceInfo) return false;
+
+  console.log(
+    chalk.blue.bold(
+      options.check
+        ? "🔍 Checking Scenario Methods"
+        : "🔄 Syncing Scenario Methods"
+    )
+  );
+  console.log();
+
+  const scenariosPath = getScenariosPath(workspaceInfo);
+  const names = name ? [name] : await listScenarios(scenariosPath);
+  if (names.length === 0) {
+    console.log(chalk.yellow("⚠️  No scenarios found"));
+    return true;
+  }
+
+  let stale = 0;
+  let failed = 0;
+  for (const scenarioName of names) {
+    const scenario = await loadScenario(scenariosPath, scenarioName);
+    if (!scenario) {
+      console.log(chalk.red(`❌ Scenario '${scenarioName}' not found`));
+      failed++;
+      continue;
+    }
+
+    let functions;
+    try {
+      functions = getScenarioFunctions(scenario.content);
+    } catch (error) {
+      console.log(
+        chalk.red(
+          `❌ ${scenarioName}: could not parse ${scenarioName}.psce: ${error.message}`
+        )
+      );
+      failed++;
+      continue;
+    }
+
+    const methods = buildMethodEntries(functions, scenario.config.methods);
+    const diff = diffMethodEntries(scenario.config.methods, methods);
+    if (!diff.stale) {
+      console.log(
+        chalk.green(`✅ ${scenarioName}`) + chalk.gray(" up to date")
+      );
+      continue;
+    }
+
+    stale++;
+    const changes = formatMethodChanges(diff);
+    if (options.check) {
+      console.log(
+        chalk.red(`❌ ${scenarioName}`) +
+          chalk.gray(` out of date (${changes})`)
+      );
+      continue;
+    }
+
+    await fs.writeJson(
+      path.join(scenario.dir, ".scenario-config.json"),
+      { ...scenario.config, methods },
+      { spaces: 2 }
+    );
+    console.log(
+      chalk.green(`🔄 ${scenarioName}`) + chalk.gray(` updated (${changes})`)
+    );
+  }
+
+  console.log();
+  if (options.check && stale > 0) {
+    console.log(chalk.red(`❌ ${stale} scenario config(s) out of date`));
+    console.log(
+      chalk.gray(`Update with: psce scenario sync${name ? ` ${name}` : ""}`)
+    );
+    return false;
+  }
+  if (stale > 0) {
+    console.log(chalk.green(`✅ Updated ${stale} scenario config(s)`));
+  } else if (failed === 0) {
+    console.log(chalk.green("✅ All scenario configs are up to date"));
+  }
+
+  return failed === 0;
 }
 
-async function addScenario(options) {
-  console.log(chalk.blue.bold("🎬 Adding New Scenario"));
+// Regenerate READMEs (and the --site pages), --check only reports
+async function generateDocs(name, options) {
+  const workspaceInfo = await getWorkspaceInfo();
+  if (!workspaceInfo) return false;
+
+  if (!name && !options.all && !options.site) {
+    console.log(chalk.red("❌ Specify a scenario name or --all"));
+    return false;
+  }
+
+  console.log(
+    chalk.blue.bold(
+      options.check
+        ? "🔍 Checking Scenario Docs"
+        : "📚 Generating Scenario Docs"
+    )
+  );
   console.log();
 
-  // Check workspace and get configuration
+  const { workspaceDir } = workspaceInfo;
+  const scenariosPath = getScenariosPath(workspaceInfo);
+  // A site always covers the whole workspace
+  const names =
+    name && !options.site ? [name] : await listScenarios(scenariosPath);
+  if (names.length === 0) {
+    console.log(chalk.yellow("⚠️  No scenarios found"));
+    return true;
+  }
+
+  const siteDir = options.site
+    ? path.resolve(
+        workspaceDir,
+        typeof options.site === "string" ? options.site : "docs"
+      )
+    : null;
+  const outputs = [];
+  const documented = [];
+  let failed = 0;
+
+  for (const scenarioName of names) {
+    const scenario = await loadScenario(scenariosPath, scenarioName);
+    if (!scenario) {
+      console.log(chalk.red(`❌ Scenario '${scenarioName}' not found`));
+      failed++;
+      continue;
+    }
+
+    let readme;
+    try {
+      const tests = (await loadScenarioTests(scenario)).filter(
+        (test) => !test.loadError
+      );
+      readme = renderScenarioReadme(scenario, tests);
+    } catch (error) {
+      console.log(
+        chalk.red(
+          `❌ ${scenarioName}: could not parse ${scenarioName}.psce: ${error.message}`
+        )
+      );
+      failed++;
+      continue;
+    }
+
+    documented.push(scenario);
+    outputs.push({
+      file: path.join(scenario.dir, "README.md"),
+      content: readme,
+    });
+    if (siteDir) {
+      outputs.push({
+        file: path.join(siteDir, `${scenarioName}.md`),
+        content: readme,
+      });
+    }
+  }
+
+  if (siteDir && documented.length > 0) {
+    outputs.push({
+      file: path.join(siteDir, "index.md"),
+      content: renderDocsIndex(documented),
+    });
+  }
+
+  let stale = 0;
+  for (const output of outputs) {
+    const relative = path.relative(workspaceDir, output.file);
+    const current = (await fs.pathExists(output.file))
+      ? await fs.readFile(output.file, "utf8")
+      : null;
+
+    if (current === output.content) {
+      console.log(chalk.green(`✅ ${relative}`) + chalk.gray(" up to date"));
+      continue;
+    }
+
+    stale++;
+    if (options.check) {
+      console.log(chalk.red(`❌ ${relative}`) + chalk.gray(" out of date"));
+    } else {
+      await fs.outputFile(output.file, output.content);
+      console.log(chalk.green(`📝 ${relative}`) + chalk.gray(" written"));
+    }
+  }
+
+  console.log();
+  if (options.check && stale > 0) {
+    console.log(chalk.red(`❌ ${stale} documentation file(s) out of date`));
+    console.log(chalk.gray("Update with: psce scenario docs"));
+    return false;
+  }
+  if (stale > 0) {
+    console.log(chalk.green(`✅ Wrote ${stale} documentation file(s)`));
+  } else if (failed === 0) {
+    console.log(chalk.green("✅ All documentation is up to date"));
+  }
+
+  return failed === 0;
+}
+
+async function packScenario(name, options) {
   const workspaceInfo = await getWorkspaceInfo();
-  if (!workspaceInfo) return;
+  if (!workspaceInfo) return false;
+
+  console.log(chalk.blue.bold("📦 Packing Scenario"));
+  console.log();
 
   const { workspaceDir, psceConfig } = workspaceInfo;
+  const scenariosPath = getScenariosPath(workspaceInfo);
+  const scenario = await loadScenario(scenariosPath, name);
+  if (!scenario) {
+    console.log(chalk.red(`❌ Scenario '${name}' not found`));
+    return false;
+  }
 
-  // Get scenario name from options or ask user
-  let scenarioName = options.name;
-  if (!scenarioName) {
-    scenarioName = await askInput("Enter scenario name: ", (input) => {
-      const trimmed = input.trim();
-      if (!trimmed) return "Scenario name is required";
-      if (!/^[a-zA-Z0-9_-]+$/.test(trimmed)) {
-        return "Scenario name can only contain letters, numbers, underscores, and hyphens";
-      }
-      return true;
+  let bundle;
+  let functions;
+  try {
+    functions = getScenarioFunctions(scenario.content);
+    bundle = await bundleScenario(scenario, {
+      scenariosPath,
+      libPath: getLibPath(workspaceDir, psceConfig),
     });
+  } catch (error) {
+    console.log(chalk.red(`❌ Cannot pack '${name}': ${error.message}`));
+    return false;
   }
 
-  // Validate scenario name
-  if (!/^[a-zA-Z0-9_-]+$/.test(scenarioName)) {
-    console.log(chalk.red("❌ Invalid scenario name"));
+  // Declared methods are the scenario's API, otherwise its async functions
+  const declared = getDeclaredMethods(scenario.config);
+  const bundled = getScenarioFunctions(bundle.text).map((fn) => fn.name);
+  const missing = declared.filter((method) => !bundled.includes(method));
+  if (missing.length > 0) {
     console.log(
-      chalk.gray(
-        "Scenario name can only contain letters, numbers, underscores, and hyphens"
+      chalk.red(
+        `❌ Cannot pack '${name}': declared method(s) not defined: ${missing.join(
+          ", "
+        )}`
       )
     );
-    return;
+    console.log(
+      chalk.gray(`Update the config with: psce scenario sync ${name}`)
+    );
+    return false;
+  }
+  const manifest = createManifest(scenario, bundle, {
+    methods:
+      declared.length > 0
+        ? declared
+        : functions.filter((fn) => fn.async).map((fn) => fn.name),
+    cliVersion: packageInfo.version,
+    builtAt: await getBuildTime([
+      scenario.file,
+      ...bundle.dependencies.map((dependency) => dependency.file),
+    ]),
+  });
+  const manifestText = `${JSON.stringify(manifest, null, 2)}\n`;
+
+  let signer = null;
+  if (options.sign) {
+    signer = await getSigningAddress(
+      options.address,
+      new PSCESecurityManager()
+    );
+    if (!signer) return false;
   }
 
-  // Get tags from options or ask user
-  let tags = options.tags;
-  if (!tags) {
-    tags = await askInput(
-      "Enter tags (comma-separated, optional): ",
-      () => true
+  const dir = path.join(
+    options.output
+      ? path.resolve(options.output)
+      : path.join(workspaceDir, "dist"),
+    `${name}-${manifest.version}`
+  );
+  const files = await writeArtifact(dir, {
+    manifest,
+    manifestText,
+    text: bundle.text,
+    signature: signer ? signManifest(manifestText, signer) : null,
+  });
+
+  console.log(
+    chalk.green(`✅ Packed ${name} v${manifest.version}`) +
+      (bundle.dependencies.length > 0
+        ? chalk.gray(` with ${bundle.dependencies.length} dependency(ies)`)
+        : "")
+  );
+  console.log();
+  console.log(chalk.cyan("📁 Artifact:"));
+  console.log(chalk.gray(`   ${dir}/`));
+  files.forEach((file, index) =>
+    console.log(
+      chalk.gray(`   ${index === files.length - 1 ? "└──" : "├──"} ${file}`)
+    )
+  );
+  console.log();
+  console.log(chalk.gray(`🔒 sha256: ${manifest.sha256}`));
+
+  const artifactPath = path.relative(process.cwd(), dir) || ".";
+  if (signer) {
+    console.log(
+      chalk.gray(
+        `✍️  Signed by ${signer.name || signer.address} (${signer.address})`
+      )
+    );
+    console.log();
+    console.log(chalk.blue("💡 Verify with:"));
+    console.log(
+      chalk.gray(
+        `   psce scenario verify ${artifactPath} --address ${signer.address}`
+      )
     );
+  } else {
+    console.log(chalk.yellow("⚠️  Not signed (--no-sign)"));
   }
 
-  // Parse and validate tags
-  const tagList = tags
-    ? tags
-        .split(",")
-        .map((tag) => tag.trim())
-        .filter((tag) => tag)
-    : [];
-  const validTags = tagList.filter((tag) => /^[a-zA-Z0-9_-]+$/.test(tag));
+  return true;
+}
 
-  if (tagList.length !== validTags.length) {
-    console.log(chalk.yellow("⚠️ Some tags were invalid and will be ignored"));
+async function verifyScenarioArtifact(artifactPath, options) {
+  console.log(chalk.blue.bold("🔍 Verifying Artifact"));
+  console.log();
+
+  const artifact = await readArtifact(path.resolve(artifactPath));
+  const { manifest } = artifact;
+
+  const signers = options.address
+    ? [options.address]
+    : await getTrustedSigners();
+  if (!signers) return false;
+  if (signers.length === 0) {
+    console.log(
+      chalk.red("❌ No trusted signer to verify the artifact against")
+    );
     console.log(
       chalk.gray(
-        "Tags can only contain letters, numbers, underscores, and hyphens"
+        "Pass --address or list the addresses in 'trustedSigners' of psce.json"
       )
     );
+    return false;
   }
 
-  // Get network from options or ask user
-  let network = options.network;
-  if (!network) {
-    network = await askInput(
-      "Enter target network URL (optional): ",
-      () => true
+  // A saved address name is looked up, anything else is taken as an address
+  const trustedAddresses = [];
+  for (const signer of signers) {
+    if (isValidAddress(signer)) {
+      trustedAddresses.push(signer);
+      continue;
+    }
+    const saved = await findSavedAddress(signer, new PSCESecurityManager());
+    if (!saved) {
+      console.log(chalk.red(`❌ Address '${signer}' not found`));
+      return false;
+    }
+    trustedAddresses.push(saved.address);
+  }
+
+  console.log(
+    chalk.cyan(`📦 ${manifest.name} v${manifest.version}`) +
+      chalk.gray(` built ${manifest.builtAt} with psce ${manifest.cliVersion}`)
+  );
+  if (
+    Array.isArray(manifest.dependencies) &&
+    manifest.dependencies.length > 0
+  ) {
+    console.log(
+      chalk.gray(
+        `   Dependencies: ${manifest.dependencies
+          .map((dependency) => dependency.id)
+          .join(", ")}`
+      )
     );
   }
+  console.log();
 
-  // Use provided network or default
-  const networks =
-    network && network.trim() ? [network.trim()] : ["https://chain_network"];
+  const checks = verifyArtifact(artifact, trustedAddresses);
+  checks.forEach((check) =>
+    console.log(
+      check.passed
+        ? chalk.green(`✅ ${check.message}`)
+        : chalk.red(`❌ ${check.message}`)
+    )
+  );
 
-  // Get scenarios directory from config
-  const scenariosDir = psceConfig.scenariosDir || "scenarios";
-  const scenariosPath = path.join(workspaceDir, scenariosDir);
-  const scenarioPath = path.join(scenariosPath, scenarioName);
+  console.log();
+  if (checks.some((check) => !check.passed)) {
+    console.log(chalk.red("❌ Artifact verification failed"));
+    return false;
+  }
 
-  // Check if scenario already exists
-  if (await fs.pathExists(scenarioPath)) {
-    console.log(chalk.red(`❌ Scenario '${scenarioName}' already exists`));
-    const overwrite = await askConfirmation("Overwrite existing scenario?");
-    if (!overwrite) {
-      console.log(chalk.yellow("⚠️ Scenario creation cancelled"));
-      return;
-    }
-    await fs.remove(scenarioPath);
+  console.log(chalk.green("✅ Artifact verified"));
+  return true;
+}
+
+// Addresses or saved address names in the trustedSigners of psce.json,
+// empty outside a workspace
+async function getTrustedSigners() {
+  const workspaceInfo = await getWorkspaceInfo(() => {});
+  const trustedSigners = workspaceInfo
+    ? workspaceInfo.psceConfig.trustedSigners || []
+    : [];
+  if (
+    !Array.isArray(trustedSigners) ||
+    !trustedSigners.every((signer) => typeof signer === "string")
+  ) {
+    console.log(
+      chalk.red("❌ 'trustedSigners' in psce.json must be an array of strings")
+    );
+    return null;
   }
+  return trustedSigners;
+}
 
-  console.log(chalk.yellow(`📁 Creating scenario '${scenarioName}'...`));
+// Saved address matching an address or name, without its private key
+async function findSavedAddress(identifier, security) {
+  const stored = await security.getAllNetworks();
+
+  return (
+    Object.entries(stored)
+      .filter(([key]) => key.startsWith("address:"))
+      .map(([key, data]) => ({
+        ...data,
+        address: key.replace("address:", ""),
+      }))
+      .find(
+        (address) =>
+          address.address === identifier || address.name === identifier
+      ) || null
+  );
+}
 
-  try {
-    // Create scenario directory
-    await fs.ensureDir(scenarioPath);
+// Saved address with its decrypted private key, current one by default
+async function getSigningAddress(identifier, security) {
+  const value = identifier || (await security.getActiveAddress());
+  if (!value) {
+    console.log(chalk.red("❌ No address to sign with"));
+    console.log(chalk.gray("Set an active address with: psce address set"));
+    console.log(
+      chalk.gray("Or specify address with: --address <address-name>")
+    );
+    return null;
+  }
 
-    // Create main .psce file
-    await createScenarioFile(scenarioPath, scenarioName);
+  const address = await findSavedAddress(value, security);
+  if (!address) {
+    console.log(chalk.red(`❌ Address '${value}' not found`));
+    console.log(chalk.gray("List addresses with: psce address list"));
+    return null;
+  }
 
-    // Create scenario config
-    await createScenarioConfig(scenarioPath, scenarioName, validTags, networks);
+  try {
+    const privateKey = await security.getWalletFresh(address.address);
+    return { ...address, privateKey };
+  } catch (error) {
+    console.log(
+      chalk.red(`❌ Failed to decrypt wallet '${address.name}':`),
+      error.message
+    );
+    return null;
+  }
+}
 
-    // Create scenario README
-    await createScenarioReadme(scenarioPath, scenarioName, validTags, networks);
+// +added, -removed, ~changed
+function formatMethodChanges(diff) {
+  const changes = [
+    ...diff.added.map((method) => `+${method}`),
+    ...diff.removed.map((method) => `-${method}`),
+    ...diff.changed.map((method) => `~${method}`),
+  ];
+  if (diff.reordered) changes.push("reordered");
+  return changes.join(", ") || "normalized";
+}
 
-    // Create tests structure inside scenario
-    await createScenarioTestsStructure(scenarioPath, scenarioName);
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
-    console.log(chalk.green("✅ Scenario created successfully!"));
-    console.log();
-    console.log(chalk.cyan("📁 Created structure:"));
-    console.log(chalk.gray(`   ${scenarioPath}/`));
-    console.log(chalk.gray(`   ├── ${scenarioName}.psce`));
-    console.log(chalk.gray(`   ├── tests/`));
-    console.log(chalk.gray(`   │   ├── ${scenarioName}.test.js`));
-    console.log(chalk.gray(`   │   └── README.md`));
-    console.log(chalk.gray(`   ├── .scenario-config.json`));
-    console.log(chalk.gray(`   └── README.md`));
-    console.log();
-    console.log(chalk.blue("💡 Next steps:"));
-    console.log(chalk.gray(`   Edit ${scenarioPath}/${scenarioName}.psce`));
-    console.log(chalk.gray(`   psce test ${scenarioName}`));
-  } catch (error) {
-    console.log(chalk.red("❌ Failed to create scenario:"), error.message);
+function getScenariosPath({ workspaceDir, psceConfig }) {
+  return path.join(workspaceDir, psceConfig.scenariosDir || "scenarios");
+}
 
-    // Cleanup on failure
-    try {
-      if (await fs.pathExists(scenarioPath)) {
-        await fs.remove(scenarioPath);
-        console.log(chalk.gray("🧹 Cleaned up partial scenario directory"));
-      }
-    } catch (cleanupError) {
-      console.log(chalk.yellow("⚠️ Failed to cleanup:"), cleanupError.message);
+// Files of a scenario directory with their sizes, relative paths sorted
+async function getScenarioFiles(dir, prefix = "") {
+  const files = [];
+  const entries = await fs.readdir(path.join(dir, prefix), {
+    withFileTypes: true,
+  });
+
+  for (const entry of entries) {
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await getScenarioFiles(dir, relative)));
+    } else if (entry.isFile()) {
+      const { size } = await fs.stat(path.join(dir, relative));
+      files.push({ path: relative, size });
     }
   }
+
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// transfer(amount: number, [memo]: string): Object
+function formatSignature(fn) {
+  const params = fn.params.map((name) => {
+    const doc = fn.doc.params.find((param) => param.name === name);
+    if (!doc) return name;
+    const label = doc.optional ? `[${name}]` : name;
+    return doc.type ? `${label}: ${doc.type}` : label;
+  });
+  const returns =
+    fn.doc.returns && fn.doc.returns.type ? `: ${fn.doc.returns.type}` : "";
+
+  return `${fn.async ? "async " : ""}${fn.name}(${params.join(
+    ", "
+  )})${returns}`;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
-async function getWorkspaceInfo() {
+async function getWorkspaceInfo(log = console.log) {
   // Check if we're in a PSCE workspace environment
   const packageJsonPath = path.join(process.cwd(), "package.json");
   if (!(await fs.pathExists(packageJsonPath))) {
-    console.log(chalk.red("❌ package.json file not found"));
-    console.log(
-      chalk.gray("Create a workspace first with: psce new <workspace-name>")
-    );
+    log(chalk.red("❌ package.json file not found"));
+    log(chalk.gray("Create a workspace first with: psce new <workspace-name>"));
     return null;
   }
 
@@ -177,8 +1540,8 @@ async function getWorkspaceInfo() {
   try {
     packageJson = await fs.readJson(packageJsonPath);
   } catch (error) {
-    console.log(chalk.red("❌ Failed to read package.json"));
-    console.log(chalk.gray("Error:"), error.message);
+    log(chalk.red("❌ Failed to read package.json"));
+    log(chalk.gray("Error:"), error.message);
     return null;
   }
 
@@ -192,19 +1555,19 @@ async function getWorkspaceInfo() {
     configPath = path.join(workspaceDir, configFile);
 
     if (!(await fs.pathExists(configPath))) {
-      console.log(chalk.red("❌ PSCE workspace configuration not found"));
-      console.log(chalk.gray(`Expected config file: ${configPath}`));
-      console.log(
+      log(chalk.red("❌ PSCE workspace configuration not found"));
+      log(chalk.gray(`Expected config file: ${configPath}`));
+      log(
         chalk.gray(
           "If you have a PSCE system, ensure the workspace directory and"
         )
       );
-      console.log(
+      log(
         chalk.gray(
           "configuration files exist, or delete them and recreate with:"
         )
       );
-      console.log(chalk.gray("psce new <workspace-name>"));
+      log(chalk.gray("psce new <workspace-name>"));
       return null;
     }
   }
@@ -214,27 +1577,19 @@ async function getWorkspaceInfo() {
     configPath = path.join(workspaceDir, "psce.json");
 
     if (!(await fs.pathExists(configPath))) {
-      console.log(chalk.red("❌ psce.json configuration file not found"));
-      console.log(chalk.gray(`Expected file: ${configPath}`));
-      console.log(
-        chalk.gray("Recreate workspace with: psce new <workspace-name>")
-      );
+      log(chalk.red("❌ psce.json configuration file not found"));
+      log(chalk.gray(`Expected file: ${configPath}`));
+      log(chalk.gray("Recreate workspace with: psce new <workspace-name>"));
       return null;
     }
   }
   // Neither scenario matches
   else {
-    console.log(
-      chalk.red("❌ package.json found but no PSCE configuration detected")
-    );
-    console.log(chalk.gray("Expected either:"));
-    console.log(
-      chalk.gray("  1. 'psce.workspaceDir' property (parent project)")
-    );
-    console.log(chalk.gray('  2. "type": "psce" property (PSCE workspace)'));
-    console.log(
-      chalk.gray("Create a workspace with: psce new <workspace-name>")
-    );
+    log(chalk.red("❌ package.json found but no PSCE configuration detected"));
+    log(chalk.gray("Expected either:"));
+    log(chalk.gray("  1. 'psce.workspaceDir' property (parent project)"));
+    log(chalk.gray('  2. "type": "psce" property (PSCE workspace)'));
+    log(chalk.gray("Create a workspace with: psce new <workspace-name>"));
     return null;
   }
 
@@ -243,8 +1598,8 @@ async function getWorkspaceInfo() {
   try {
     psceConfig = await fs.readJson(configPath);
   } catch (error) {
-    console.log(chalk.red("❌ Failed to read psce.json"));
-    console.log(chalk.gray("Error:"), error.message);
+    log(chalk.red("❌ Failed to read psce.json"));
+    log(chalk.gray("Error:"), error.message);
     return null;
   }
 
@@ -252,21 +1607,19 @@ async function getWorkspaceInfo() {
   const scenariosDir = psceConfig.scenariosDir || "scenarios";
   const scenariosPath = path.join(workspaceDir, scenariosDir);
   if (!(await fs.pathExists(scenariosPath))) {
-    console.log(chalk.red("❌ Scenarios directory not found"));
-    console.log(chalk.gray(`Expected directory: ${scenariosPath}`));
-    console.log(
-      chalk.gray("Recreate workspace with: psce new <workspace-name>")
-    );
+    log(chalk.red("❌ Scenarios directory not found"));
+    log(chalk.gray(`Expected directory: ${scenariosPath}`));
+    log(chalk.gray("Recreate workspace with: psce new <workspace-name>"));
     return null;
   }
 
-  return { workspaceDir, psceConfig };
+  return { workspaceDir, configPath, psceConfig, packageJson };
 }
 
 async function createScenarioFile(scenarioPath, scenarioName) {
   const psceContent = `/**
  * ${scenarioName} scenario
- * @param address owner address of scenario to initialize
+ * @param {string} address owner address of scenario to initialize
  */
 async function init(address) {
     if (address !== OWNER_ADDRESS)
@@ -287,7 +1640,8 @@ async function createScenarioConfig(
   scenarioPath,
   scenarioName,
   tags = [],
-  networks = ["https://chain_network"]
+  networks = ["https://chain_network"],
+  template = null
 ) {
   const scenarioConfig = {
     name: scenarioName,
@@ -298,13 +1652,16 @@ async function createScenarioConfig(
     dependencies: [],
     testDir: "tests",
     tags: tags,
-    methods: [
-      {
-        method: "init",
-        description: "Initialize the scenario",
-      },
-    ],
+    methods: template
+      ? template.methods
+      : [
+          {
+            method: "init",
+            description: "Initialize the scenario",
+          },
+        ],
   };
+  if (template && template.roles) scenarioConfig.roles = template.roles;
 
   await fs.writeJson(
     path.join(scenarioPath, ".scenario-config.json"),
@@ -313,18 +1670,43 @@ async function createScenarioConfig(
   );
 }
 
+// Fill in method parameters and return types from the scenario's .psce file
+async function syncScenarioConfig(scenarioPath, scenarioName) {
+  const configFile = path.join(scenarioPath, ".scenario-config.json");
+  const config = await fs.readJson(configFile);
+  const source = await fs.readFile(
+    path.join(scenarioPath, `${scenarioName}.psce`),
+    "utf8"
+  );
+
+  config.methods = buildMethodEntries(
+    getScenarioFunctions(source),
+    config.methods
+  );
+  await fs.writeJson(configFile, config, { spaces: 2 });
+}
+
 async function createScenarioReadme(
   scenarioPath,
   scenarioName,
   tags = [],
-  networks = ["https://chain_network"]
+  networks = ["https://chain_network"],
+  template = null
 ) {
+  const methods = template
+    ? template.methods
+    : [{ method: "init", description: "Initialize the scenario" }];
+
   const scenarioReadme = `# ${scenarioName}
 
 PSCE scenario for blockchain development.
 
 ## Description
-${scenarioName} scenario implementation.
+${
+  template && template.description
+    ? `${template.description}.`
+    : `${scenarioName} scenario implementation.`
+}
 ${
   tags.length > 0
     ? `\n## Tags\n${tags.map((tag) => `- ${tag}`).join("\n")}\n`
@@ -336,7 +1718,14 @@ psce test ${scenarioName}
 \`\`\`
 
 ## Methods
-- **init**: Initialize the scenario
+${methods
+  .map(
+    (entry) =>
+      `- **${entry.method}**${
+        entry.description ? `: ${entry.description}` : ""
+      }`
+  )
+  .join("\n")}
 
 ## Networks
 ${networks.map((network) => `- ${network}`).join("\n")}
@@ -453,7 +1842,10 @@ module.exports = test;
     testContent
   );
 
-  // Create test README
+  await createTestsReadme(testsPath, scenarioName);
+}
+
+async function createTestsReadme(testsPath, scenarioName) {
   const testReadme = `# PSCE Tests
 
 This directory contains test files for the ${scenarioName} scenario.
@@ -481,6 +1873,10 @@ The network returns: \`{error: number, returnedData: any}\`
 psce test ${scenarioName}
 \`\`\`
 
+The CLI loads every \`*.test.js\` file in this directory and runs each exported test
+object (or array of test objects) against the active network. A pass/fail summary is
+printed at the end and the command exits with a non-zero code if any test fails.
+
 ## Test File Structure
 
 Each test file should export an object with:
@@ -488,10 +1884,63 @@ Each test file should export an object with:
 - \`method\`: Method name to execute
 - \`params\`: Array of parameter values
 - \`description\`: Test description
+- \`expect\`: Optional assertions evaluated against the response (see below)
+- \`as\`: Optional role or saved address name to call the method as (see Roles)
 - \`run()\`: Async function that executes the test
 - \`getActiveNetwork()\`: Uses \`psce network current\` to get active network URL
 - \`getActiveAddress()\`: Returns active address and private key
 
+## Assertions
+
+Without \`expect\` a test passes when the network returns \`error: 0\`. The \`expect\`
+object can contain:
+
+- \`error\`: Expected error code (use a non-zero code for negative tests)
+- \`returnedData\`: Exact expected value of \`returnedData\`
+- \`match\`: Partial value; only the listed object keys are compared
+- \`paths\`: JSON-path predicates, e.g. \`{ "$.items[0].id": 1, "$.balance": { $gt: 0 } }\`
+  (operators: \`$eq\`, \`$ne\`, \`$gt\`, \`$gte\`, \`$lt\`, \`$lte\`, \`$exists\`, \`$type\`,
+  \`$in\`, \`$contains\`, \`$matches\`, \`$length\`, or a function returning true/false)
+
+A diff of expected and actual values is printed when an assertion fails.
+
+## Snapshots
+
+Run \`psce test ${scenarioName} --update-snapshots\` to store the returned data of every
+test in \`__snapshots__/${scenarioName}.snap.json\`. Later runs fail when the returned
+data differs from the stored snapshot.
+
+## Flows
+
+A \`*.flow.json\` file lists method calls that run in order against the same scenario
+state. A step can capture values from its returned data and later steps can use them
+as \`\${name}\`:
+
+\`\`\`json
+{
+  "description": "Deposit and withdraw",
+  "steps": [
+    { "method": "deposit", "params": [100], "capture": { "depositId": "$.id" } },
+    { "method": "withdraw", "params": ["\${depositId}", 30], "as": "bob", "expect": { "error": 0 } }
+  ]
+}
+\`\`\`
+
+Run it with \`psce test ${scenarioName} --flow deposit.flow.json\`.
+
+## Roles
+
+Roles name the addresses tests call from, e.g. to check an owner-only method. Map
+them to saved address names, or to \`"ephemeral"\` for a throwaway keypair, in
+\`.scenario-config.json\`:
+
+\`\`\`json
+{ "roles": { "owner": "my-wallet", "attacker": "ephemeral" } }
+\`\`\`
+
+Then set \`as: "attacker"\` on a test or flow step, or run every test as a role with
+\`psce test ${scenarioName} --as owner\`.
+
 ## Network Detection
 
 The \`getActiveNetwork()\` function automatically detects the active network by:
@@ -520,12 +1969,14 @@ async function createScenario(
   await fs.ensureDir(scenarioPath);
   await createScenarioFile(scenarioPath, scenarioName);
   await createScenarioConfig(scenarioPath, scenarioName, tags, networks);
+  await syncScenarioConfig(scenarioPath, scenarioName);
   await createScenarioReadme(scenarioPath, scenarioName, tags, networks);
   await createScenarioTestsStructure(scenarioPath, scenarioName);
 }
 
 module.exports = {
   registerScenarioCommand,
+  getWorkspaceInfo,
   createScenario,
   createScenarioFile,
   createScenarioConfig,
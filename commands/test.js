@@ -1,16 +1,66 @@
 const { Command } = require("commander");
 const fs = require("fs-extra");
 const path = require("path");
+const util = require("util");
 const chalk = require("chalk");
+const { evaluateExpectations, format } = require("../lib/assertions");
+const {
+  listScenarios,
+  readScenarioConfig,
+  loadScenario,
+  hasAnyTag,
+  getTestDir,
+  loadScenarioTests,
+} = require("../lib/scenarios");
+const { REPORTERS, buildReport } = require("../lib/reporters");
+const {
+  getScenarioFunctions,
+  coerceParams,
+} = require("../lib/scenario-parser");
+const {
+  getSnapshotFile,
+  readSnapshots,
+  writeSnapshots,
+  compareSnapshot,
+} = require("../lib/snapshots");
+const PSCESecurityManager = require("../lib/security-manager");
+const { loadFlow, resolveVariables, captureValues } = require("../lib/flows");
+const { getScenarioCoverage, summarizeCoverage } = require("../lib/coverage");
+const { getRoles, createEphemeralAddress } = require("../lib/roles");
+const {
+  RESULTS_DIR,
+  saveRun,
+  listRuns,
+  loadRun,
+  compareRuns,
+} = require("../lib/history");
+const { getLibPath, bundleScenario } = require("../lib/bundler");
+const { getWorkspaceInfo } = require("./scenario");
+const packageInfo = require("../package.json");
+
+const WATCH_DEBOUNCE_MS = 300;
+const DEFAULT_TIMEOUT_MS = 30000;
+const RETRY_DELAY_MS = 500;
+
+// Security managers whose session holds the real master password
+const unlockedSessions = new WeakSet();
 
 // Main test command
 function registerTestCommand(program) {
   const testCommand = program
     .command("test")
     .description("Test PSCE scenarios on blockchain networks")
-    .argument("<scenario>", "Scenario name to test")
-    .requiredOption("-m, --method <method>", "Method name to execute")
+    .argument("[scenario]", "Scenario name to test")
+    .option(
+      "-m, --method <method>",
+      "Method name to execute (runs the scenario's test files if omitted)"
+    )
     .option("-p, --params <params>", "Method parameters (comma-separated)")
+    .option("--params-json <json>", "Method parameters as a JSON array")
+    .option(
+      "--params-file <file>",
+      "Read method parameters from a JSON array file"
+    )
     .option(
       "-n, --network <network>",
       "Network name (uses current if not specified)"
@@ -19,274 +69,1908 @@ function registerTestCommand(program) {
       "-a, --address <address>",
       "Address name (uses current if not specified)"
     )
+    .option(
+      "--as <identity>",
+      "Call as a role of the scenario or a saved address name"
+    )
+    .option("--all", "Run the tests of every scenario in the workspace")
+    .option(
+      "--tag <tags>",
+      "Run the tests of scenarios with any of the tags (comma-separated)"
+    )
+    .option("--grep <pattern>", "Only run tests whose title matches pattern")
+    .option(
+      "--reporter <reporter>",
+      "Machine-readable report format (junit, tap, json)"
+    )
+    .option("-o, --output <file>", "Write the report to a file")
+    .option(
+      "--update-snapshots",
+      "Write returned data to tests/__snapshots__ instead of comparing"
+    )
+    .option(
+      "--concurrency <n>",
+      "Number of tests of a scenario to run in parallel",
+      "1"
+    )
+    .option(
+      "--timeout <ms>",
+      "Timeout of each test request in ms",
+      String(DEFAULT_TIMEOUT_MS)
+    )
+    .option(
+      "--retries <n>",
+      "Retry transient network errors up to n times with backoff",
+      "0"
+    )
+    .option(
+      "--networks <names>",
+      "Repeat the tests on each of the networks (comma-separated)"
+    )
+    .option("--all-networks", "Repeat the tests on every saved network")
+    .option("--coverage", "Report declared, defined and tested methods")
+    .option(
+      "--coverage-threshold <percent>",
+      "Fail when method coverage is below percent (implies --coverage)"
+    )
+    .option("--flow <file>", "Run the steps of a *.flow.json file in order")
+    .option("--no-history", `Do not store the run in ${RESULTS_DIR}/`)
+    .option("--watch", "Re-run tests when scenario or test files change")
+    .option("--no-watch", "Run once even if autoWatch is enabled")
     .action(async (scenarioName, options) => {
-      console.log(chalk.blue("🧪 PSCE Test Runner"));
-      console.log();
+      const startedAt = new Date();
 
-      // Validate workspace
-      const validation = await validateWorkspace();
-      if (!validation) return;
+      if (options.reporter && !REPORTERS[options.reporter]) {
+        console.log(chalk.red(`❌ Unknown reporter '${options.reporter}'`));
+        console.log(
+          chalk.gray(
+            `Available reporters: ${Object.keys(REPORTERS).join(", ")}`
+          )
+        );
+        process.exit(1);
+      }
 
-      const { configPath, packageJson } = validation;
+      const execution = parseExecutionOptions(options);
+      if (!execution) process.exit(1);
 
-      // Get scenario file
-      const scenarioFile = await getScenarioPath(scenarioName, packageJson);
-      if (!scenarioFile) return;
+      const coverageThreshold = parseCoverageThreshold(
+        options.coverageThreshold
+      );
+      if (coverageThreshold === false) process.exit(1);
 
-      // Read scenario content
-      const scenarioContent = await getScenarioContent(scenarioFile);
-      if (!scenarioContent) return;
+      // Keep stdout clean for the report when it is not written to a file
+      const log =
+        options.reporter && !options.output ? console.error : console.log;
 
-      // Determine network
-      let networkUrl;
-      if (options.network) {
-        networkUrl = await getNetworkUrl(options.network, configPath);
-      } else {
-        const currentNetwork = await getCurrentNetwork(configPath);
-        if (!currentNetwork) {
-          console.log(chalk.red("❌ No current network set"));
-          console.log(
-            chalk.gray("Set a network with: psce network set <network-name>")
-          );
-          console.log(
-            chalk.gray("Or specify network with: --network <network-name>")
-          );
-          return;
+      if (!checkOptionConflicts(options, log)) process.exit(1);
+
+      log(chalk.blue("🧪 PSCE Test Runner"));
+      log();
+
+      // Validate workspace
+      const workspace = await getWorkspaceInfo(log);
+      if (!workspace) process.exit(1);
+
+      const { workspaceDir, configPath, psceConfig, packageJson } = workspace;
+      const scenariosPath = path.join(
+        workspaceDir,
+        psceConfig.scenariosDir || "scenarios"
+      );
+      const libPath = getLibPath(workspaceDir, psceConfig);
+
+      // Select scenarios to test
+      const scenarioNames = await selectScenarios(
+        scenarioName,
+        options,
+        scenariosPath,
+        log
+      );
+      if (!scenarioNames) process.exit(1);
+
+      let grep = null;
+      if (options.grep) {
+        try {
+          grep = new RegExp(options.grep);
+        } catch (error) {
+          log(chalk.red(`❌ Invalid --grep pattern: ${error.message}`));
+          process.exit(1);
         }
-        networkUrl = await getNetworkUrl(currentNetwork, configPath);
       }
 
-      if (!networkUrl) return;
+      // One security manager for the run so the wallet session is reused
+      const security = new PSCESecurityManager();
 
-      // Get address
-      const address = await getAddress(options.address, configPath);
-      if (!address) {
-        console.log(chalk.red("❌ No address available for testing"));
-        console.log(
-          chalk.gray("Generate an address with: psce address generate")
+      // Networks with the address to use on each, several for a matrix run
+      const matrix = Boolean(options.networks || options.allNetworks);
+      const targets = matrix
+        ? await getMatrixTargets(options, configPath, security, log)
+        : await getTarget(options, configPath, security, log);
+      if (!targets) process.exit(1);
+
+      // Only matrix runs have several targets, --flow and -m use this one
+      const { network, address } = targets[0];
+      // Role and ephemeral addresses, resolved once per run
+      const identities = new Map();
+
+      // Flow mode: run the steps of one flow file in order
+      if (options.flow) {
+        const scenario = await getScenario(
+          scenariosPath,
+          scenarioNames[0],
+          libPath,
+          log
         );
-        console.log(
-          chalk.gray("Or specify address with: --address <address-name>")
+        if (!scenario) process.exit(1);
+
+        const results = await runFlow(scenario, options.flow, {
+          network,
+          address,
+          as: options.as,
+          security,
+          identities,
+          execution,
+          log,
+        });
+        if (!results) process.exit(1);
+
+        printTestSummary(results, log);
+        await saveResults(results, { options, startedAt, workspace, log });
+        if (results.some((result) => !result.passed)) process.exit(1);
+        return;
+      }
+
+      // Single method mode
+      if (options.method) {
+        const scenario = await getScenario(
+          scenariosPath,
+          scenarioNames[0],
+          libPath,
+          log
+        );
+        if (!scenario) process.exit(1);
+
+        const params = await resolveParams(options, scenario, log);
+        if (!params) process.exit(1);
+
+        const caller = await getCaller(options.as, scenario, undefined, {
+          address,
+          security,
+          identities,
+          log,
+        });
+        if (!caller) process.exit(1);
+
+        const test = {
+          scenario: scenario.name,
+          method: options.method,
+          params,
+          description: "",
+        };
+        const result = await executeTest(
+          network.url,
+          scenario.scenarioText,
+          caller,
+          test.method,
+          test.params,
+          undefined,
+          { ...execution, log }
         );
+        const results = [
+          {
+            test,
+            network: network.name,
+            networkUrl: network.url,
+            address: caller.address,
+            role: caller.role,
+            ...result,
+          },
+        ];
+
+        await saveResults(results, { options, startedAt, workspace, log });
+        if (!result.passed) process.exit(1);
         return;
       }
 
-      // Parse parameters
-      const params = parseParams(options.params);
+      // Test file mode: run every test exported from the scenarios' tests/
+      const runOptions = {
+        network,
+        address,
+        as: options.as,
+        security,
+        identities,
+        libPath,
+        grep,
+        updateSnapshots: options.updateSnapshots,
+        execution,
+        log,
+        coverage:
+          options.coverage || coverageThreshold !== null
+            ? {
+                threshold:
+                  coverageThreshold !== null
+                    ? coverageThreshold
+                    : psceConfig.coverageThreshold,
+              }
+            : null,
+      };
 
-      // Execute test
-      await executeTest(
-        networkUrl,
-        scenarioContent,
+      if (shouldWatch(options, packageJson)) {
+        await watchTests(scenariosPath, scenarioNames, runOptions);
+        return;
+      }
+
+      const results = matrix
+        ? await runMatrix(scenariosPath, scenarioNames, targets, runOptions)
+        : await runTests(scenariosPath, scenarioNames, runOptions);
+
+      if (results.length === 0) {
+        log();
+        log(chalk.yellow("⚠️  No tests were run"));
+        if (!runOptions.coverage) return;
+      } else {
+        printTestSummary(results, log);
+        if (matrix) printMatrix(results, targets, log);
+      }
+
+      let coverage = null;
+      if (runOptions.coverage) {
+        coverage = await getCoverage(
+          scenariosPath,
+          scenarioNames,
+          results,
+          runOptions.coverage.threshold
+        );
+        printCoverage(coverage, log);
+      }
+
+      await saveResults(results, {
+        options,
+        startedAt,
+        workspace,
+        coverage,
+        log,
+      });
+      if (results.some((result) => !result.passed)) process.exit(1);
+      if (coverage && !coverage.passed) process.exit(1);
+    });
+
+  testCommand
+    .command("history")
+    .description(`List test runs stored in ${RESULTS_DIR}/`)
+    .option("--limit <n>", "Number of runs to show", "20")
+    .option("--json", "Output in JSON format")
+    .action(async (options) => {
+      try {
+        const shown = await showHistory(options);
+        process.exit(shown ? 0 : 1);
+      } catch (error) {
+        console.error(chalk.red("Failed to read history:"), error.message);
+        process.exit(1);
+      }
+    });
+
+  testCommand
+    .command("compare <runA> <runB>")
+    .description(
+      "Compare two stored runs (id, id prefix or ~n from psce test history)"
+    )
+    .option("--json", "Output in JSON format")
+    .action(async (runA, runB, options) => {
+      try {
+        const comparison = await showComparison(runA, runB, options);
+        process.exit(comparison.regressions.length > 0 ? 1 : 0);
+      } catch (error) {
+        console.error(chalk.red("Comparison failed:"), error.message);
+        process.exit(1);
+      }
+    });
+}
+
+// List stored runs, most recent first
+async function showHistory(options) {
+  const workspace = await getWorkspaceInfo();
+  if (!workspace) return false;
+
+  const limit = parseInt(options.limit, 10) || 20;
+  const runs = (await listRuns(workspace.workspaceDir)).slice(0, limit);
+
+  if (options.json) {
+    console.log(JSON.stringify(runs, null, 2));
+    return true;
+  }
+
+  console.log(chalk.blue.bold("📜 Test History"));
+  console.log();
+
+  if (runs.length === 0) {
+    console.log(chalk.gray(`No runs stored in ${RESULTS_DIR}/`));
+    console.log(chalk.gray("Runs are stored by: psce test <scenario>"));
+    return true;
+  }
+
+  runs.forEach((run, index) => {
+    const { total, passed, failed, timedOut } = run.summary;
+    const icon = passed === total ? chalk.green("✅") : chalk.red("❌");
+
+    console.log(
+      `${chalk.gray(`~${index + 1}`)} ${icon} ${chalk.white.bold(run.id)}`,
+      chalk.gray(new Date(run.startedAt).toLocaleString())
+    );
+    console.log(
+      chalk.gray(
+        `   Networks: ${run.networks.join(", ") || "-"} · Scenarios: ${
+          Object.keys(run.scenarios).join(", ") || "-"
+        }`
+      )
+    );
+    console.log(
+      chalk.gray(
+        `   Tests: ${total} · Passed: ${passed} · Failed: ${failed}${
+          timedOut ? ` · Timed out: ${timedOut}` : ""
+        } · Duration: ${run.duration}ms`
+      )
+    );
+    console.log();
+  });
+
+  console.log(chalk.blue("💡 Compare two runs with: psce test compare ~2 ~1"));
+  return true;
+}
+
+// Print regressions, fixes and returned data changes between two runs
+async function showComparison(refA, refB, options) {
+  const workspace = await getWorkspaceInfo();
+  if (!workspace) process.exit(1);
+
+  const runA = await loadRun(workspace.workspaceDir, refA);
+  const runB = await loadRun(workspace.workspaceDir, refB);
+  const comparison = compareRuns(runA, runB);
+
+  if (options.json) {
+    console.log(
+      JSON.stringify({ runA: runA.id, runB: runB.id, ...comparison }, null, 2)
+    );
+    return comparison;
+  }
+
+  console.log(chalk.blue.bold("🔍 Comparing Test Runs"));
+  console.log(chalk.gray(`A: ${runA.id} (${runA.startedAt})`));
+  console.log(chalk.gray(`B: ${runB.id} (${runB.startedAt})`));
+
+  const section = (title, entries, color, print) => {
+    if (entries.length === 0) return;
+    console.log();
+    console.log(color.bold(`${title} (${entries.length})`));
+    entries.forEach(print);
+  };
+
+  section(
+    "❌ Regressions (passed → failed)",
+    comparison.regressions,
+    chalk.red,
+    ({ key, after }) =>
+      console.log(
+        chalk.red(`   ${key}`),
+        chalk.gray(`(${getFailureReason(after)})`)
+      )
+  );
+  section(
+    "✅ Fixed (failed → passed)",
+    comparison.fixed,
+    chalk.green,
+    ({ key }) => console.log(chalk.green(`   ${key}`))
+  );
+  section(
+    "🔄 Returned data changed",
+    comparison.changed,
+    chalk.yellow,
+    ({ key, diff }) => {
+      console.log(chalk.yellow(`   ${key}`));
+      diff.forEach((entry) =>
+        console.log(
+          chalk.gray(
+            `     at ${entry.path}: ${format(entry.expected)} → ${format(
+              entry.actual
+            )}`
+          )
+        )
+      );
+    }
+  );
+  section("➕ Added", comparison.added, chalk.cyan, ({ key }) =>
+    console.log(chalk.cyan(`   ${key}`))
+  );
+  section("➖ Removed", comparison.removed, chalk.gray, ({ key }) =>
+    console.log(chalk.gray(`   ${key}`))
+  );
+
+  if (comparison.scenariosChanged.length > 0) {
+    console.log();
+    console.log(
+      chalk.gray(
+        `📝 Scenario source changed: ${comparison.scenariosChanged.join(", ")}`
+      )
+    );
+  }
+
+  const changes =
+    comparison.regressions.length +
+    comparison.fixed.length +
+    comparison.changed.length +
+    comparison.added.length +
+    comparison.removed.length;
+  console.log();
+  if (changes === 0) {
+    console.log(chalk.green("✅ No differences between the runs"));
+  } else if (comparison.regressions.length > 0) {
+    console.log(
+      chalk.red(`❌ ${comparison.regressions.length} regression(s) found`)
+    );
+  }
+
+  return comparison;
+}
+
+function getFailureReason(test) {
+  if (test.message) return test.message;
+  if (test.failures.length > 0) return test.failures[0].message;
+  return `error code ${test.errorCode}`;
+}
+
+// Validate --concurrency, --timeout and --retries
+function parseExecutionOptions(options) {
+  const execution = {
+    concurrency: Number(options.concurrency),
+    timeout: Number(options.timeout),
+    retries: Number(options.retries),
+  };
+
+  if (!Number.isInteger(execution.concurrency) || execution.concurrency < 1) {
+    console.log(chalk.red(`❌ Invalid --concurrency: ${options.concurrency}`));
+    return null;
+  }
+  if (!Number.isInteger(execution.timeout) || execution.timeout < 1) {
+    console.log(chalk.red(`❌ Invalid --timeout: ${options.timeout}`));
+    return null;
+  }
+  if (!Number.isInteger(execution.retries) || execution.retries < 0) {
+    console.log(chalk.red(`❌ Invalid --retries: ${options.retries}`));
+    return null;
+  }
+
+  return execution;
+}
+
+// Validate --coverage-threshold, null when not given
+function parseCoverageThreshold(value) {
+  if (value === undefined) return null;
+
+  const threshold = Number(value);
+  if (
+    value.trim() === "" ||
+    isNaN(threshold) ||
+    threshold < 0 ||
+    threshold > 100
+  ) {
+    console.log(chalk.red(`❌ Invalid --coverage-threshold: ${value}`));
+    console.log(chalk.gray("Threshold must be a percentage between 0 and 100"));
+    return false;
+  }
+  return threshold;
+}
+
+// Method coverage of the tested scenarios
+async function getCoverage(scenariosPath, scenarioNames, results, threshold) {
+  const scenarios = [];
+
+  for (const name of scenarioNames) {
+    const scenario = await loadScenario(scenariosPath, name).catch(() => null);
+    if (!scenario) continue;
+
+    // Only tests that reached the network exercised their method
+    const testedMethods = results
+      .filter(
+        (result) =>
+          result.test.scenario === name &&
+          result.test.method &&
+          result.error !== undefined &&
+          result.error !== null
+      )
+      .map((result) => result.test.method);
+
+    scenarios.push(getScenarioCoverage(scenario, testedMethods));
+  }
+
+  const total = summarizeCoverage(scenarios);
+  const hasThreshold = threshold !== undefined && threshold !== null;
+
+  return {
+    scenarios,
+    ...total,
+    threshold: hasThreshold ? threshold : null,
+    passed: !hasThreshold || total.percent >= threshold,
+  };
+}
+
+// Print untested, undeclared and missing methods per scenario
+function printCoverage(coverage, log = console.log) {
+  log();
+  log(chalk.blue.bold("📈 Method Coverage"));
+
+  coverage.scenarios.forEach((scenario) => {
+    const complete = scenario.covered === scenario.total;
+    log(
+      `${complete ? chalk.green("✅") : chalk.yellow("⚠️ ")} ${chalk.bold(
+        scenario.scenario
+      )}`,
+      chalk.gray(
+        `${scenario.covered}/${scenario.total} methods (${scenario.percent}%)`
+      )
+    );
+
+    if (scenario.parseError) {
+      log(chalk.red(`   Could not parse scenario: ${scenario.parseError}`));
+    }
+    if (scenario.untested.length > 0) {
+      log(chalk.yellow(`   Untested: ${scenario.untested.join(", ")}`));
+    }
+    if (scenario.undeclared.length > 0) {
+      log(
+        chalk.gray(
+          `   Not declared in .scenario-config.json: ${scenario.undeclared.join(
+            ", "
+          )}`
+        )
+      );
+    }
+    if (scenario.notDefined.length > 0) {
+      log(
+        chalk.red(
+          `   Declared but not defined: ${scenario.notDefined.join(", ")}`
+        )
+      );
+    }
+  });
+
+  log();
+  log(
+    `Coverage: ${coverage.covered}/${coverage.total} methods (${coverage.percent}%)`
+  );
+
+  if (coverage.threshold !== null) {
+    if (coverage.passed) {
+      log(
+        chalk.green(`✅ Coverage meets the threshold of ${coverage.threshold}%`)
+      );
+    } else {
+      log(
+        chalk.red(
+          `❌ Coverage ${coverage.percent}% is below the threshold of ${coverage.threshold}%`
+        )
+      );
+    }
+  }
+}
+
+// Repeat the tests on each network of a matrix run
+async function runMatrix(scenariosPath, scenarioNames, targets, runOptions) {
+  const { log } = runOptions;
+  const results = [];
+
+  for (const { network, address } of targets) {
+    log();
+    log(chalk.blue.bold(`🌐 Network: ${network.name}`));
+    log(chalk.gray(`${network.url} as ${address.name}`));
+
+    results.push(
+      ...(await runTests(scenariosPath, scenarioNames, {
+        ...runOptions,
+        network,
         address,
-        options.method,
-        params
+      }))
+    );
+  }
+
+  return results;
+}
+
+// Print pass/fail per scenario method (rows) and network (columns)
+function printMatrix(results, targets, log = console.log) {
+  const networks = targets.map((target) => target.network.name);
+  const rows = new Map();
+
+  results.forEach((result) => {
+    const { test } = result;
+    const row = `${test.scenario} ${test.loadError ? test.file : test.method}`;
+    if (!rows.has(row)) rows.set(row, new Map());
+    const cells = rows.get(row);
+    if (!cells.has(result.network)) cells.set(result.network, []);
+    cells.get(result.network).push(result);
+  });
+
+  const cellText = (cellResults) => {
+    if (!cellResults) return { text: "-", color: chalk.gray };
+    const passed = cellResults.filter((result) => result.passed).length;
+    const count =
+      cellResults.length > 1 ? ` ${passed}/${cellResults.length}` : "";
+    if (passed === cellResults.length) {
+      return { text: `PASS${count}`, color: chalk.green };
+    }
+    if (cellResults.every((result) => result.passed || result.timedOut)) {
+      return { text: `TIMEOUT${count}`, color: chalk.yellow };
+    }
+    return { text: `FAIL${count}`, color: chalk.red };
+  };
+
+  const firstWidth = Math.max(
+    "Scenario method".length,
+    ...[...rows.keys()].map((row) => row.length)
+  );
+  const widths = networks.map((name) =>
+    Math.max(
+      name.length,
+      ...[...rows.values()].map(
+        (cells) => cellText(cells.get(name)).text.length
+      )
+    )
+  );
+
+  log();
+  log(chalk.blue.bold("🌐 Network Matrix"));
+  log(
+    chalk.bold(
+      [
+        "Scenario method".padEnd(firstWidth),
+        ...networks.map((name, i) => name.padEnd(widths[i])),
+      ]
+        .join("  ")
+        .trimEnd()
+    )
+  );
+
+  rows.forEach((cells, row) => {
+    log(
+      [
+        row.padEnd(firstWidth),
+        ...networks.map((name, i) => {
+          const { text, color } = cellText(cells.get(name));
+          const last = i === networks.length - 1;
+          return color(last ? text : text.padEnd(widths[i]));
+        }),
+      ].join("  ")
+    );
+  });
+}
+
+// Run the tests of the given scenarios
+async function runTests(scenariosPath, scenarioNames, runOptions) {
+  const results = [];
+
+  for (const name of scenarioNames) {
+    const scenario = await getScenario(
+      scenariosPath,
+      name,
+      runOptions.libPath,
+      runOptions.log
+    );
+    if (!scenario) {
+      results.push({
+        test: { scenario: name, file: `${name}.psce`, loadError: true },
+        passed: false,
+        message: "Failed to load scenario",
+      });
+      continue;
+    }
+
+    results.push(...(await runScenarioTests(scenario, runOptions)));
+  }
+
+  return results;
+}
+
+// --watch/--no-watch win, otherwise autoWatch applies to interactive runs
+function shouldWatch(options, packageJson) {
+  if (options.watch !== undefined) return options.watch;
+  if (options.networks || options.allNetworks) return false;
+
+  const autoWatch =
+    packageJson && packageJson.psce && packageJson.psce.autoWatch;
+  return Boolean(
+    autoWatch &&
+      process.stdout.isTTY &&
+      !process.env.CI &&
+      !options.reporter &&
+      !options.output
+  );
+}
+
+// Watch scenario, config and test files and re-run the affected scenario
+async function watchTests(scenariosPath, scenarioNames, runOptions) {
+  const { log } = runOptions;
+  const watchers = new Map();
+  const pending = new Set();
+  let timer = null;
+  let running = false;
+
+  const watchScenario = async (name) => {
+    (watchers.get(name) || []).forEach((watcher) => watcher.close());
+
+    const scenarioDir = path.join(scenariosPath, name);
+    const dirs = [scenarioDir];
+    try {
+      const config = await readScenarioConfig(scenarioDir);
+      dirs.push(path.join(scenarioDir, config.testDir || "tests"));
+    } catch (error) {
+      dirs.push(path.join(scenarioDir, "tests"));
+    }
+
+    const scenarioWatchers = [];
+    for (const dir of dirs) {
+      if (!(await fs.pathExists(dir))) continue;
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        if (filename && !isWatchedFile(filename)) return;
+        pending.add(name);
+        schedule();
+      });
+      watcher.on("error", () => watcher.close());
+      scenarioWatchers.push(watcher);
+    }
+    watchers.set(name, scenarioWatchers);
+  };
+
+  const run = async (names) => {
+    console.clear();
+    log(chalk.blue("🧪 PSCE Test Runner"), chalk.gray("(watch mode)"));
+    log(chalk.gray(`🔁 Running: ${names.join(", ")}`));
+
+    const results = await runTests(scenariosPath, names, runOptions);
+    if (results.length > 0) {
+      printTestSummary(results, log);
+    } else {
+      log();
+      log(chalk.yellow("⚠️  No tests were run"));
+    }
+    if (runOptions.coverage) {
+      printCoverage(
+        await getCoverage(
+          scenariosPath,
+          names,
+          results,
+          runOptions.coverage.threshold
+        ),
+        log
       );
+    }
+
+    // The test directory may have changed in .scenario-config.json
+    for (const name of names) await watchScenario(name);
+  };
+
+  // A failed run is reported and watching goes on
+  const start = (names) => {
+    running = true;
+    return run(names)
+      .catch((error) => {
+        log();
+        log(chalk.red(`❌ Test run failed: ${error.message}`));
+      })
+      .finally(() => {
+        log();
+        log(
+          chalk.gray(
+            `👀 Watching ${scenarioNames.length} scenario(s) for changes... (Ctrl+C to exit)`
+          )
+        );
+        running = false;
+        if (pending.size > 0) schedule();
+      });
+  };
+
+  // Debounce rapid saves into a single run
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (running) return;
+      const names = scenarioNames.filter((name) => pending.has(name));
+      pending.clear();
+      start(names);
+    }, WATCH_DEBOUNCE_MS);
+  };
+
+  // Library modules may be bundled into any of the scenarios
+  if (await fs.pathExists(runOptions.libPath)) {
+    const watcher = fs.watch(runOptions.libPath, (eventType, filename) => {
+      if (filename && !isWatchedFile(filename)) return;
+      scenarioNames.forEach((name) => pending.add(name));
+      schedule();
     });
+    watcher.on("error", () => watcher.close());
+  }
+
+  for (const name of scenarioNames) await watchScenario(name);
+  await start(scenarioNames);
 }
 
-// Workspace validation function
-async function validateWorkspace() {
-  const packagePath = path.join(process.cwd(), "package.json");
+function isWatchedFile(filename) {
+  const name = path.basename(filename);
+  return (
+    name.endsWith(".psce") ||
+    name === ".scenario-config.json" ||
+    // Test files and the helper modules they require
+    name.endsWith(".js")
+  );
+}
 
-  if (!(await fs.pathExists(packagePath))) {
-    console.log(chalk.red("❌ Not a PSCE workspace"));
-    console.log(chalk.gray("Run 'psce new <workspace-name>' to create one"));
-    return false;
+// Write the --reporter/--output report and store the run in the history
+async function saveResults(
+  results,
+  { options, startedAt, workspace, coverage = null, log }
+) {
+  const report = buildReport(results, {
+    version: packageInfo.version,
+    startedAt: startedAt.toISOString(),
+    duration: Date.now() - startedAt.getTime(),
+    coverage,
+  });
+
+  if (options.reporter || options.output) {
+    const content = REPORTERS[options.reporter || "json"](report);
+
+    if (options.output) {
+      const outputPath = path.resolve(options.output);
+      await fs.outputFile(outputPath, content);
+      log(chalk.gray(`📄 Report written to ${outputPath}`));
+    } else {
+      process.stdout.write(content);
+    }
   }
 
-  const packageJson = await fs.readJson(packagePath);
-  let configPath;
+  if (options.history) {
+    await saveHistory(report, workspace, log);
+  }
+}
 
-  // Scenario 1: PSCE workspace (type: "psce")
-  if (packageJson.type === "psce") {
-    configPath = path.join(process.cwd(), "psce.json");
+// Store a run in .psce-results with hashes of the tested scenario sources
+async function saveHistory(report, { workspaceDir, psceConfig }, log) {
+  const scenariosPath = path.join(
+    workspaceDir,
+    psceConfig.scenariosDir || "scenarios"
+  );
+  const scenarios = {};
+  for (const name of new Set(report.tests.map((test) => test.scenario))) {
+    const scenario = await loadScenario(scenariosPath, name).catch(() => null);
+    if (scenario) scenarios[name] = scenario.content;
   }
-  // Scenario 2: External directory with PSCE config
-  else if (packageJson.psce && packageJson.psce.configFile) {
-    const workspaceDir = packageJson.psce.workspaceDir || "./psce-workspace";
-    configPath = path.join(workspaceDir, packageJson.psce.configFile);
-  } else {
-    console.log(chalk.red("❌ Not a PSCE workspace"));
-    console.log(chalk.gray("Current directory is not a PSCE workspace"));
+
+  try {
+    const run = await saveRun(
+      workspaceDir,
+      report,
+      scenarios,
+      psceConfig.historyLimit
+    );
+    log(chalk.gray(`🗂️  Run saved as ${run.id}`));
+  } catch (error) {
+    log(chalk.yellow(`⚠️  Could not save run: ${error.message}`));
+  }
+}
+
+// Reject options that the selected mode would silently ignore: --flow and
+// -m call a single network, so they cannot run a network matrix, and do not
+// run the test files that method coverage is measured on
+function checkOptionConflicts(options, log) {
+  if (options.flow && options.method) {
+    log(chalk.red("❌ --flow cannot be combined with --method"));
     return false;
   }
 
-  if (!(await fs.pathExists(configPath))) {
-    console.log(chalk.red("❌ psce.json configuration file not found"));
-    console.log(chalk.gray(`Expected file: ${configPath}`));
-    console.log(
-      chalk.gray("Recreate workspace with: psce new <workspace-name>")
+  if (options.flow || options.method) {
+    const coverage =
+      options.coverageThreshold !== undefined
+        ? "coverage-threshold"
+        : options.coverage
+        ? "coverage"
+        : null;
+    if (coverage) {
+      log(
+        chalk.red(
+          `❌ --${coverage} cannot be combined with --${
+            options.flow ? "flow" : "method"
+          }`
+        )
+      );
+      return false;
+    }
+  }
+
+  if (options.networks || options.allNetworks) {
+    const conflicts = ["network", "method", "flow", "watch"].filter(
+      (key) => options[key]
     );
-    return false;
+    if (conflicts.length > 0) {
+      log(
+        chalk.red(
+          `❌ --networks/--all-networks cannot be combined with --${conflicts[0]}`
+        )
+      );
+      return false;
+    }
   }
 
-  return { configPath, packageJson };
+  return true;
 }
 
-// Get scenario file path
-async function getScenarioPath(scenarioName, packageJson) {
-  let scenariosDir;
+// Pick the scenarios to test from the argument and --all/--tag/--grep
+async function selectScenarios(scenarioName, options, scenariosPath, log) {
+  if (options.method && !scenarioName) {
+    log(chalk.red("❌ --method requires a scenario name"));
+    log(chalk.gray("Usage: psce test <scenario> -m <method>"));
+    return null;
+  }
 
-  if (packageJson.type === "psce") {
-    scenariosDir = path.join(process.cwd(), "scenarios");
-  } else {
-    const workspaceDir = packageJson.psce.workspaceDir || "./psce-workspace";
-    scenariosDir = path.join(workspaceDir, "scenarios");
+  if (options.flow && !scenarioName) {
+    log(chalk.red("❌ --flow requires a scenario name"));
+    log(chalk.gray("Usage: psce test <scenario> --flow <file>"));
+    return null;
   }
 
-  const scenarioDir = path.join(scenariosDir, scenarioName);
-  const scenarioFile = path.join(scenarioDir, `${scenarioName}.psce`);
+  if (scenarioName) return [scenarioName];
 
-  if (!(await fs.pathExists(scenarioFile))) {
-    console.log(chalk.red(`❌ Scenario '${scenarioName}' not found`));
-    console.log(chalk.gray(`Expected file: ${scenarioFile}`));
-    console.log(chalk.gray(`Available scenarios in: ${scenariosDir}`));
+  if (!options.all && !options.tag && !options.grep) {
+    log(chalk.red("❌ No scenario specified"));
+    log(chalk.gray("Usage: psce test <scenario>"));
+    log(
+      chalk.gray(
+        "Or select scenarios with: --all, --tag <tags>, --grep <pattern>"
+      )
+    );
     return null;
   }
 
-  return scenarioFile;
+  let names = await listScenarios(scenariosPath);
+
+  if (options.tag) {
+    const tags = options.tag
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter((tag) => tag);
+    const tagged = [];
+    for (const name of names) {
+      try {
+        const config = await readScenarioConfig(path.join(scenariosPath, name));
+        if (hasAnyTag(config, tags)) tagged.push(name);
+      } catch (error) {
+        log(chalk.yellow(`⚠️  Skipping '${name}': ${error.message}`));
+      }
+    }
+    names = tagged;
+  }
+
+  if (names.length === 0) {
+    log(chalk.yellow("⚠️  No matching scenarios found"));
+    log(chalk.gray(`Scenarios directory: ${scenariosPath}`));
+    return null;
+  }
+
+  log(
+    chalk.gray(`📁 Selected ${names.length} scenario(s): ${names.join(", ")}`)
+  );
+  return names;
+}
+
+// Load a scenario with its dependencies bundled and report problems
+async function getScenario(
+  scenariosPath,
+  scenarioName,
+  libPath,
+  log = console.log
+) {
+  let scenario;
+  try {
+    scenario = await loadScenario(scenariosPath, scenarioName);
+  } catch (error) {
+    log(
+      chalk.red(
+        `❌ Failed to read scenario '${scenarioName}': ${error.message}`
+      )
+    );
+    return null;
+  }
+
+  if (!scenario) {
+    log(chalk.red(`❌ Scenario '${scenarioName}' not found`));
+    log(
+      chalk.gray(
+        `Expected file: ${path.join(
+          scenariosPath,
+          scenarioName,
+          `${scenarioName}.psce`
+        )}`
+      )
+    );
+    log(chalk.gray(`Available scenarios in: ${scenariosPath}`));
+    return null;
+  }
+
+  // scenarioText is what nodes run, content stays the scenario's own source
+  try {
+    const bundle = await bundleScenario(scenario, { scenariosPath, libPath });
+    scenario.scenarioText = bundle.text;
+    scenario.dependencies = bundle.dependencies;
+  } catch (error) {
+    log(
+      chalk.red(
+        `❌ Failed to bundle scenario '${scenarioName}': ${error.message}`
+      )
+    );
+    return null;
+  }
+
+  return scenario;
+}
+
+// Run the tests of one scenario
+async function runScenarioTests(scenario, runOptions) {
+  const { network, grep, updateSnapshots, execution, log } = runOptions;
+  log();
+  log(chalk.blue.bold(`📁 Scenario: ${scenario.name}`));
+
+  const snapshotFile = getSnapshotFile(getTestDir(scenario), scenario.name);
+  let snapshots = {};
+  try {
+    snapshots = await readSnapshots(snapshotFile);
+  } catch (error) {
+    log(chalk.yellow(`⚠️  Could not read snapshots: ${error.message}`));
+  }
+  let snapshotsChanged = false;
+
+  let tests = await loadScenarioTests(scenario);
+  if (grep) {
+    tests = tests.filter(
+      (test) => test.loadError || grep.test(getTestTitle(test))
+    );
+  }
+
+  if (tests.length === 0) {
+    log(chalk.yellow(`⚠️  No tests found for '${scenario.name}'`));
+    log(
+      chalk.gray(
+        `Add a *.test.js file to the scenario's tests directory or use: psce test ${scenario.name} -m <method>`
+      )
+    );
+    return [];
+  }
+
+  // Keys depend on test order, so they are assigned before tests run
+  const titleCounts = new Map();
+  const testSnapshotKeys = tests.map((test) =>
+    test.loadError ? null : getSnapshotKey(test, titleCounts)
+  );
+  const snapshotKeys = new Set(testSnapshotKeys.filter((key) => key));
+
+  // Callers are resolved up front so password prompts never overlap
+  const callers = [];
+  for (const test of tests) {
+    callers.push(
+      test.loadError
+        ? null
+        : await getCaller(
+            test.as || runOptions.as,
+            scenario,
+            test.roles,
+            runOptions
+          )
+    );
+  }
+
+  const results = await mapWithConcurrency(
+    tests,
+    execution.concurrency,
+    async (test, index) => {
+      // Parallel tests print their output as one block when they finish
+      const lines = [];
+      const testLog =
+        execution.concurrency > 1 ? (...args) => lines.push(args) : log;
+
+      testLog();
+      if (test.loadError) {
+        testLog(chalk.red(`❌ ${test.file}: ${test.loadError}`));
+        lines.forEach((args) => log(...args));
+        return { test, passed: false, message: test.loadError };
+      }
+
+      if (test.description) {
+        testLog(chalk.cyan(`▶ ${test.description}`));
+      }
+
+      const caller = callers[index];
+      if (!caller) {
+        const message = `Caller '${test.as || runOptions.as}' is not available`;
+        testLog(chalk.red(`❌ ${message}`));
+        lines.forEach((args) => log(...args));
+        return { test, network: network.name, passed: false, message };
+      }
+
+      const result = await executeTest(
+        network.url,
+        scenario.scenarioText,
+        caller,
+        test.method,
+        test.params,
+        test.expect,
+        { ...execution, log: testLog }
+      );
+
+      // Snapshots are only handled when the network returned a response
+      const snapshotKey = testSnapshotKeys[index];
+      if (result.message === undefined) {
+        const returnedData =
+          result.returnedData === undefined ? null : result.returnedData;
+
+        if (updateSnapshots) {
+          // Output of a failing test must not become the expected output
+          if (!result.passed) {
+            testLog(chalk.yellow("📸 Snapshot not written, the test failed"));
+          } else {
+            if (!util.isDeepStrictEqual(snapshots[snapshotKey], returnedData)) {
+              snapshots[snapshotKey] = returnedData;
+              snapshotsChanged = true;
+            }
+            result.snapshot = "written";
+            testLog(chalk.cyan("📸 Snapshot written"));
+          }
+        } else if (snapshotKey in snapshots) {
+          const failure = compareSnapshot(snapshots[snapshotKey], returnedData);
+          if (failure) {
+            result.snapshot = "failed";
+            result.passed = false;
+            result.failures.push(failure);
+            printFailures([failure], testLog);
+          } else {
+            result.snapshot = "matched";
+            testLog(chalk.green("📸 Snapshot matched"));
+          }
+        }
+      }
+
+      lines.forEach((args) => log(...args));
+      return {
+        test,
+        network: network.name,
+        networkUrl: network.url,
+        address: caller.address,
+        role: caller.role,
+        ...result,
+      };
+    }
+  );
+
+  if (updateSnapshots) {
+    // Drop snapshots of removed tests unless only a subset was run
+    if (!grep) {
+      Object.keys(snapshots).forEach((key) => {
+        if (!snapshotKeys.has(key)) {
+          delete snapshots[key];
+          snapshotsChanged = true;
+        }
+      });
+    }
+
+    if (snapshotsChanged) {
+      await writeSnapshots(snapshotFile, snapshots);
+      log();
+      log(chalk.gray(`📸 Snapshots saved to ${snapshotFile}`));
+    }
+  }
+
+  return results;
 }
 
-// Read scenario content
-async function getScenarioContent(scenarioFile) {
+// Run the steps of a flow, passing captured values to later steps
+async function runFlow(scenario, flowFile, runOptions) {
+  const { network, execution, log } = runOptions;
+  let flow;
   try {
-    const content = await fs.readFile(scenarioFile, "utf8");
-    return content;
+    flow = await loadFlow(await resolveFlowFile(scenario, flowFile));
   } catch (error) {
-    console.log(chalk.red(`❌ Failed to read scenario file: ${error.message}`));
+    log(chalk.red(`❌ ${error.message}`));
     return null;
   }
+
+  log();
+  log(chalk.blue.bold(`🔗 Flow: ${flow.description || flow.name}`));
+  log(chalk.gray(`📁 Scenario: ${scenario.name}`));
+
+  const variables = {};
+  const results = [];
+
+  for (const [index, step] of flow.steps.entries()) {
+    const test = {
+      scenario: scenario.name,
+      file: path.basename(flow.file),
+      method: step.method,
+      params: step.params,
+      description: `Step ${index + 1}${
+        step.description ? `: ${step.description}` : ""
+      }`,
+    };
+
+    const as = step.as || runOptions.as;
+    log();
+    log(
+      chalk.cyan(`▶ ${test.description}`) +
+        (as ? chalk.gray(` (as ${as})`) : "")
+    );
+
+    const stepAddress = await getCaller(as, scenario, undefined, runOptions);
+    if (!stepAddress) {
+      results.push({
+        test,
+        passed: false,
+        message: `Caller '${as}' is not available`,
+      });
+      break;
+    }
+
+    let expect;
+    try {
+      test.params = resolveVariables(step.params, variables);
+      expect = resolveVariables(step.expect, variables);
+    } catch (error) {
+      log(chalk.red(`❌ ${error.message}`));
+      results.push({ test, passed: false, message: error.message });
+      break;
+    }
+
+    const result = await executeTest(
+      network.url,
+      scenario.scenarioText,
+      stepAddress,
+      test.method,
+      test.params,
+      expect,
+      { ...execution, log }
+    );
+
+    if (result.passed) {
+      try {
+        const captured = captureValues(step.capture, result.returnedData);
+        Object.entries(captured).forEach(([name, value]) => {
+          log(chalk.gray(`📌 ${name} = ${format(value)}`));
+        });
+        Object.assign(variables, captured);
+      } catch (error) {
+        const failure = { message: error.message, diff: [] };
+        result.passed = false;
+        result.failures.push(failure);
+        printFailures([failure], log);
+      }
+    }
+
+    results.push({
+      test,
+      network: network.name,
+      networkUrl: network.url,
+      address: stepAddress.address,
+      role: stepAddress.role,
+      ...result,
+    });
+
+    // Later steps depend on this one
+    if (!result.passed) break;
+  }
+
+  const skipped = flow.steps.length - results.length;
+  if (skipped > 0) {
+    log();
+    log(chalk.yellow(`⏭️  Skipped ${skipped} remaining step(s)`));
+  }
+
+  return results;
+}
+
+// Flow files are looked up relative to the working directory, then in tests/
+async function resolveFlowFile(scenario, file) {
+  const testDir = getTestDir(scenario);
+  const candidates = [
+    path.resolve(file),
+    path.join(testDir, file),
+    path.join(testDir, `${file}.flow.json`),
+  ];
+
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate)) return candidate;
+  }
+  throw new Error(`Flow file '${file}' not found in ${testDir}`);
+}
+
+// Snapshot key of a test, numbered when several tests share a title
+function getSnapshotKey(test, titleCounts) {
+  const title = `${test.method}${
+    test.description ? ` - ${test.description}` : ""
+  }`;
+  const count = (titleCounts.get(title) || 0) + 1;
+  titleCounts.set(title, count);
+
+  return count === 1 ? title : `${title} (${count})`;
+}
+
+// Title used for --grep and the summary
+function getTestTitle(test) {
+  return `${test.scenario} ${test.method}${
+    test.description ? ` - ${test.description}` : ""
+  }`;
+}
+
+// Network and address of a single-network run
+async function getTarget(options, configPath, security, log = console.log) {
+  let networkName = options.network;
+  if (!networkName) {
+    networkName = await getCurrentNetwork(configPath, security, log);
+    if (!networkName) {
+      log(chalk.red("❌ No current network set"));
+      log(chalk.gray("Set a network with: psce network set <network-name>"));
+      log(chalk.gray("Or specify network with: --network <network-name>"));
+      return null;
+    }
+  }
+
+  const networkUrl = await getNetworkUrl(
+    networkName,
+    configPath,
+    security,
+    log
+  );
+  if (!networkUrl) return null;
+
+  // Get address and decrypt its private key
+  const address = await getAddress(options.address, security, log);
+  if (!address) return null;
+
+  return [{ network: { name: networkName, url: networkUrl }, address }];
+}
+
+// Networks of a matrix run, each with a saved address of its prefix
+async function getMatrixTargets(options, configPath, security, log) {
+  const stored = await security.getAllNetworks();
+  const storedNames = Object.keys(stored).filter(
+    (name) => !name.startsWith("address:")
+  );
+  const names = options.allNetworks
+    ? storedNames
+    : options.networks
+        .split(",")
+        .map((name) => name.trim())
+        .filter((name) => name);
+
+  if (names.length === 0) {
+    log(chalk.red("❌ No networks to test on"));
+    log(chalk.gray("Add a network with: psce network add"));
+    return null;
+  }
+
+  const addresses = await getSavedAddresses(security);
+  const preferred = options.address || (await security.getActiveAddress());
+  const unlocked = new Map();
+  const targets = [];
+
+  for (const name of names) {
+    const url = await getNetworkUrl(name, configPath, security, log);
+    if (!url) return null;
+
+    const prefix = stored[name] ? stored[name].prefix : null;
+    const candidates = addresses
+      .filter((a) => !prefix || a.address.startsWith(prefix))
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    // The active (or --address) address wins when its prefix matches
+    const match =
+      candidates.find((a) => a.address === preferred || a.name === preferred) ||
+      candidates[0];
+
+    if (!match) {
+      log(chalk.red(`❌ No saved address with prefix ${prefix} for '${name}'`));
+      log(
+        chalk.gray(
+          `Create one with: psce network set ${name} && psce address generate --name <name>`
+        )
+      );
+      return null;
+    }
+
+    if (!unlocked.has(match.address)) {
+      const address = await getAddress(match.address, security, log);
+      if (!address) return null;
+      unlocked.set(match.address, address);
+    }
+
+    targets.push({
+      network: { name, url },
+      address: unlocked.get(match.address),
+    });
+  }
+
+  return targets;
 }
 
 // Get current network
-async function getCurrentNetwork(configPath) {
+async function getCurrentNetwork(configPath, security, log) {
   try {
     const config = await fs.readJson(configPath);
-    return config.currentNetwork || null;
+    if (config.currentNetwork) return config.currentNetwork;
+
+    // Fall back to the network set with: psce network set <name>
+    return (await security.getActiveNetwork()) || null;
   } catch (error) {
-    console.log(chalk.red(`❌ Failed to read config: ${error.message}`));
+    log(chalk.red(`❌ Failed to read config: ${error.message}`));
     return null;
   }
 }
 
 // Get network URL
-async function getNetworkUrl(networkName, configPath) {
+async function getNetworkUrl(networkName, configPath, security, log) {
   try {
     const config = await fs.readJson(configPath);
     const networks = config.networks || [];
     const network = networks.find((n) => n.name === networkName);
 
-    if (!network) {
-      console.log(chalk.red(`❌ Network '${networkName}' not found`));
-      console.log(chalk.gray("Available networks:"));
-      networks.forEach((n) =>
-        console.log(chalk.gray(`  - ${n.name}: ${n.url}`))
-      );
-      return null;
-    }
+    if (network) return network.url;
+
+    // Networks added with: psce network add
+    const storedNetwork = await security.getNetwork(networkName);
+    if (storedNetwork) return storedNetwork.url;
 
-    return network.url;
+    const storedNetworks = await security.getAllNetworks();
+    log(chalk.red(`❌ Network '${networkName}' not found`));
+    log(chalk.gray("Available networks:"));
+    networks.forEach((n) => log(chalk.gray(`  - ${n.name}: ${n.url}`)));
+    Object.entries(storedNetworks).forEach(([name, data]) => {
+      if (!name.startsWith("address:")) {
+        log(chalk.gray(`  - ${name}: ${data.url}`));
+      }
+    });
+    return null;
   } catch (error) {
-    console.log(chalk.red(`❌ Failed to read networks: ${error.message}`));
+    log(chalk.red(`❌ Failed to read networks: ${error.message}`));
     return null;
   }
 }
 
-// Get current or specified address
-async function getAddress(addressName, configPath) {
+// Get the active or specified address saved with: psce address
+async function getAddress(identifier, security, log = console.log) {
+  const addressValue = identifier || (await security.getActiveAddress());
+  if (!addressValue) {
+    log(chalk.red("❌ No address available for testing"));
+    log(chalk.gray("Generate an address with: psce address generate"));
+    log(chalk.gray("Set an active address with: psce address set"));
+    log(chalk.gray("Or specify address with: --address <address-name>"));
+    return null;
+  }
+
+  const addresses = await getSavedAddresses(security);
+  const address = addresses.find(
+    (a) => a.address === addressValue || a.name === addressValue
+  );
+
+  if (!address) {
+    log(chalk.red(`❌ Address '${addressValue}' not found`));
+    log(chalk.gray("Available addresses:"));
+    addresses.forEach((a) => log(chalk.gray(`  - ${a.name}: ${a.address}`)));
+    return null;
+  }
+
   try {
-    const config = await fs.readJson(configPath);
+    const privateKey = await unlockWallet(security, address.address);
+    return { ...address, privateKey };
+  } catch (error) {
+    log(
+      chalk.red(`❌ Failed to decrypt wallet '${address.name}':`),
+      error.message
+    );
+    return null;
+  }
+}
 
-    if (!addressName) {
-      // Use current address
-      return config.currentAddress || null;
-    }
+// Address of a caller: the run's address, or a role or saved address name
+// given with --as or a test's "as"
+async function getCaller(name, scenario, testRoles, runOptions) {
+  const { address, security, identities, log } = runOptions;
+  if (!name) return address;
 
-    // Find specified address
-    const addresses = config.addresses || [];
-    const address = addresses.find((a) => a.name === addressName);
+  let roles;
+  try {
+    roles = getRoles(scenario.config, testRoles);
+  } catch (error) {
+    log(chalk.red(`❌ ${scenario.name}: ${error.message}`));
+    return null;
+  }
 
-    if (!address) {
-      console.log(chalk.red(`❌ Address '${addressName}' not found`));
-      console.log(chalk.gray("Available addresses:"));
-      addresses.forEach((a) =>
-        console.log(chalk.gray(`  - ${a.name}: ${a.address}`))
+  const role = roles[name];
+  if (role && role.ephemeral) {
+    // Throwaway keypair on the prefix of the run's network, kept for the run
+    const prefix = address.address.substring(0, 2);
+    const key = `ephemeral:${prefix}:${scenario.name}:${name}`;
+    if (!identities.has(key)) {
+      const ephemeral = createEphemeralAddress(name, prefix);
+      identities.set(key, { ...ephemeral, role: name });
+    }
+    return identities.get(key);
+  }
+
+  const identifier = role ? role.address : name;
+  const key = `address:${identifier}`;
+  if (!identities.has(key)) {
+    const saved = await getAddress(identifier, security, log);
+    if (!saved && !role && Object.keys(roles).length > 0) {
+      log(
+        chalk.gray(
+          `Roles of '${scenario.name}': ${Object.keys(roles).join(", ")}`
+        )
       );
-      return null;
     }
+    identities.set(key, saved);
+  }
 
-    return address;
-  } catch (error) {
-    console.log(chalk.red(`❌ Failed to read addresses: ${error.message}`));
-    return null;
+  const saved = identities.get(key);
+  return saved && role ? { ...saved, role: name } : saved;
+}
+
+// Address metadata stored as address:<address> entries
+async function getSavedAddresses(security) {
+  const stored = await security.getAllNetworks();
+
+  return Object.entries(stored)
+    .filter(([key]) => key.startsWith("address:"))
+    .map(([key, data]) => ({ ...data, address: key.replace("address:", "") }));
+}
+
+// Ask for the master password once, then decrypt from the session
+async function unlockWallet(security, address) {
+  if (unlockedSessions.has(security) && security.isSessionValid()) {
+    return await security.getWalletFromSession(address);
   }
+
+  const privateKey = await security.getWalletFresh(address);
+  // Use-once mode (timeout 0) keeps no session
+  if (security.session.timeout > 0) unlockedSessions.add(security);
+  return privateKey;
 }
 
-// Execute test on network
+// Execute test on network, retrying transient network errors
 async function executeTest(
   networkUrl,
   scenarioContent,
   address,
   method,
-  params
+  params,
+  expect,
+  { timeout = DEFAULT_TIMEOUT_MS, retries = 0, log = console.log } = {}
 ) {
-  try {
-    console.log(
-      chalk.blue(`🧪 Testing scenario method '${method}' on ${networkUrl}`)
+  log(chalk.blue(`🧪 Testing scenario method '${method}' on ${networkUrl}`));
+  log(
+    chalk.gray(
+      `📍 Using address: ${address.address}${
+        address.role ? ` (${address.role})` : ""
+      }`
+    )
+  );
+
+  if (params && params.length > 0) {
+    log(
+      chalk.gray(
+        `📋 Parameters: ${params
+          .map((param) =>
+            typeof param === "string" ? param : JSON.stringify(param)
+          )
+          .join(", ")}`
+      )
     );
-    console.log(chalk.gray(`📍 Using address: ${address.address}`));
+  }
 
-    if (params && params.length > 0) {
-      console.log(chalk.gray(`📋 Parameters: ${params.join(", ")}`));
-    }
+  const payload = {
+    scenarioText: scenarioContent,
+    address: address.address,
+    privateKey: address.privateKey,
+    method: method,
+    params: params || [],
+  };
 
-    const payload = {
-      scenarioText: scenarioContent,
-      address: address.address,
-      privateKey: address.privateKey,
-      method: method,
-      params: params || [],
-    };
+  for (let attempt = 1; ; attempt++) {
+    log(chalk.gray("📡 Sending request to network..."));
+    const startTime = Date.now();
 
-    console.log(chalk.gray("📡 Sending request to network..."));
+    let data;
+    try {
+      data = await previewScenario(networkUrl, payload, timeout);
+    } catch (error) {
+      const timedOut = error.name === "TimeoutError";
+      const message = timedOut ? `Timed out after ${timeout}ms` : error.message;
 
-    const response = await fetch(`${networkUrl}/previewScenario`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(payload),
-    });
+      if (attempt <= retries && isTransientError(error)) {
+        const delay = RETRY_DELAY_MS * 2 ** (attempt - 1);
+        log(
+          chalk.yellow(
+            `⚠️  ${message}, retrying in ${delay}ms (${attempt}/${retries})`
+          )
+        );
+        await sleep(delay);
+        continue;
+      }
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      log(chalk.red(`❌ Network request failed: ${message}`));
+      const code = error.cause ? error.cause.code : error.code;
+      if (code === "ECONNREFUSED") {
+        log(chalk.gray("Network might be offline or URL incorrect"));
+      } else if (timedOut || code === "ETIMEDOUT") {
+        log(chalk.gray("Request timed out - network might be slow"));
+      } else if (error.message.includes("fetch")) {
+        log(chalk.gray("Check network URL and connectivity"));
+      }
+
+      return {
+        passed: false,
+        error: null,
+        message,
+        timedOut,
+        attempts: attempt,
+        duration: Date.now() - startTime,
+      };
     }
 
-    const data = await response.json();
+    const duration = Date.now() - startTime;
+    const failures = evaluateExpectations(expect, data);
 
-    if (data.error === 0) {
-      console.log(chalk.green("✅ Test completed successfully"));
-      console.log(chalk.yellow("📤 Response:"));
-      console.log(JSON.stringify(data.returnedData, null, 2));
+    if (failures.length === 0) {
+      if (data.error === 0) {
+        log(chalk.green("✅ Test completed successfully"));
+      } else {
+        log(chalk.green(`✅ Test returned expected error code: ${data.error}`));
+      }
+      log(chalk.yellow("📤 Response:"));
+      log(JSON.stringify(data.returnedData, null, 2));
     } else {
-      console.log(chalk.red(`❌ Test failed with error code: ${data.error}`));
+      if (data.error === 0) {
+        log(chalk.red("❌ Test assertions failed"));
+      } else {
+        log(chalk.red(`❌ Test failed with error code: ${data.error}`));
+      }
       if (data.returnedData) {
-        console.log(chalk.yellow("📤 Error details:"));
-        console.log(JSON.stringify(data.returnedData, null, 2));
+        log(chalk.yellow("📤 Response:"));
+        log(JSON.stringify(data.returnedData, null, 2));
       }
+      printFailures(failures, log);
     }
-  } catch (error) {
-    console.log(chalk.red(`❌ Network request failed: ${error.message}`));
 
-    if (error.code === "ECONNREFUSED") {
-      console.log(chalk.gray("Network might be offline or URL incorrect"));
-    } else if (error.code === "ETIMEDOUT") {
-      console.log(chalk.gray("Request timed out - network might be slow"));
-    } else if (error.message.includes("fetch")) {
-      console.log(chalk.gray("Check network URL and connectivity"));
+    return {
+      passed: failures.length === 0,
+      error: data.error,
+      returnedData: data.returnedData,
+      failures,
+      duration,
+      attempts: attempt,
+      // Passed only after a retry
+      flaky: attempt > 1 && failures.length === 0,
+    };
+  }
+}
+
+// POST a scenario call to /previewScenario
+async function previewScenario(networkUrl, payload, timeout) {
+  const response = await fetch(`${networkUrl}/previewScenario`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(timeout),
+  });
+
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return await response.json();
+}
+
+// Timeouts, connection errors and 5xx/429 responses are worth retrying
+function isTransientError(error) {
+  if (error.name === "TimeoutError") return true;
+  if (error.status) return error.status >= 500 || error.status === 429;
+  // fetch rejects with a TypeError when the connection fails
+  return error instanceof TypeError;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run fn over items with at most `limit` calls in flight, keeping order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
     }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+// Print assertion failures with a diff of expected and actual values
+function printFailures(failures, log = console.log) {
+  failures.forEach((failure) => {
+    log(chalk.red(`  ✖ ${failure.message}`));
+    failure.diff.forEach((entry) => {
+      log(chalk.gray(`    at ${entry.path}`));
+      if (entry.unexpected) {
+        log(chalk.green(`      + ${format(entry.actual)} (unexpected)`));
+      } else if (entry.missing) {
+        log(chalk.red(`      - ${format(entry.expected)} (missing)`));
+      } else {
+        log(chalk.red(`      - expected: ${format(entry.expected)}`));
+        log(chalk.green(`      + actual:   ${format(entry.actual)}`));
+      }
+    });
+  });
+}
+
+// Print the aggregated pass/fail summary of a test run
+function printTestSummary(results, log = console.log) {
+  const passed = results.filter((result) => result.passed).length;
+  const timedOut = results.filter((result) => result.timedOut).length;
+  const flaky = results.filter((result) => result.flaky).length;
+  // Timeouts are counted on their own, not as assertion failures
+  const failed = results.length - passed - timedOut;
+
+  log();
+  log(chalk.blue.bold("📊 Test Summary"));
+
+  // Group results by scenario, and by network for a matrix run
+  const multiNetwork =
+    new Set(results.map((result) => result.network).filter((name) => name))
+      .size > 1;
+  const byScenario = new Map();
+  results.forEach((result) => {
+    const name =
+      multiNetwork && result.network
+        ? `${result.test.scenario} @ ${result.network}`
+        : result.test.scenario;
+    if (!byScenario.has(name)) byScenario.set(name, []);
+    byScenario.get(name).push(result);
+  });
+
+  byScenario.forEach((scenarioResults, name) => {
+    const scenarioFailed = scenarioResults.filter((r) => !r.passed).length;
+    const icon = scenarioFailed > 0 ? chalk.red("❌") : chalk.green("✅");
+    log(
+      `${icon} ${chalk.bold(name)}`,
+      chalk.gray(
+        `(${scenarioResults.length - scenarioFailed}/${
+          scenarioResults.length
+        } passed)`
+      )
+    );
+
+    scenarioResults.forEach(
+      ({ test, passed: ok, error, message, failures, ...result }) => {
+        const title = test.loadError
+          ? test.file
+          : `${test.method}${test.description ? ` - ${test.description}` : ""}`;
+        if (result.flaky) {
+          log(
+            chalk.yellow(`   ⚠️  ${title}`),
+            chalk.gray(`(flaky, passed on attempt ${result.attempts})`)
+          );
+        } else if (ok) {
+          log(chalk.green(`   ✅ ${title}`));
+        } else if (result.timedOut) {
+          log(chalk.red(`   ⏱️  ${title}`), chalk.gray(`(${message})`));
+        } else {
+          const reason =
+            message ||
+            (failures && failures.length > 0
+              ? failures[0].message
+              : `error code ${error}`);
+          log(chalk.red(`   ❌ ${title}`), chalk.gray(`(${reason})`));
+        }
+      }
+    );
+  });
+
+  const snapshotCounts = { written: 0, matched: 0, failed: 0 };
+  results.forEach((result) => {
+    if (result.snapshot) snapshotCounts[result.snapshot]++;
+  });
+
+  log();
+  if (snapshotCounts.written + snapshotCounts.matched + snapshotCounts.failed) {
+    log(
+      chalk.gray(
+        `Snapshots: ${snapshotCounts.written} written, ${snapshotCounts.matched} matched, ${snapshotCounts.failed} failed`
+      )
+    );
+  }
+  log(
+    `Total: ${results.length}, ` +
+      chalk.green(`Passed: ${passed}`) +
+      ", " +
+      (failed > 0 ? chalk.red(`Failed: ${failed}`) : `Failed: ${failed}`) +
+      (timedOut > 0 ? ", " + chalk.red(`Timed out: ${timedOut}`) : "") +
+      (flaky > 0 ? ", " + chalk.yellow(`Flaky: ${flaky}`) : "")
+  );
+}
+
+// Resolve method parameters from --params, --params-json or --params-file
+async function resolveParams(options, scenario, log = console.log) {
+  const sources = ["params", "paramsJson", "paramsFile"].filter(
+    (key) => options[key] !== undefined
+  );
+  if (sources.length > 1) {
+    log(
+      chalk.red("❌ Use only one of --params, --params-json and --params-file")
+    );
+    return null;
+  }
+
+  if (options.paramsJson !== undefined) {
+    try {
+      return toParamsArray(JSON.parse(options.paramsJson));
+    } catch (error) {
+      log(chalk.red(`❌ Invalid --params-json: ${error.message}`));
+      return null;
+    }
+  }
+
+  if (options.paramsFile !== undefined) {
+    const paramsPath = path.resolve(options.paramsFile);
+    try {
+      return toParamsArray(await fs.readJson(paramsPath));
+    } catch (error) {
+      log(chalk.red(`❌ Invalid params file ${paramsPath}: ${error.message}`));
+      return null;
+    }
+  }
+
+  const params = parseParams(options.params);
+  if (params.length === 0) return params;
+
+  // Coerce values using the method's JSDoc @param types
+  let fn;
+  try {
+    fn = getScenarioFunctions(scenario.content).find(
+      (f) => f.name === options.method
+    );
+  } catch (error) {
+    log(
+      chalk.yellow(
+        `⚠️  Could not parse scenario, sending parameters as strings: ${error.message}`
+      )
+    );
+    return params;
+  }
+
+  if (!fn) return params;
+
+  try {
+    return coerceParams(params, fn);
+  } catch (error) {
+    log(chalk.red(`❌ ${error.message}`));
+    return null;
+  }
+}
+
+function toParamsArray(value) {
+  if (!Array.isArray(value)) {
+    throw new Error("parameters must be a JSON array");
   }
+  return value;
 }
 
 // Parse comma-separated parameters
@@ -296,4 +1980,11 @@ function parseParams(paramsString) {
   return paramsString.split(",").map((param) => param.trim());
 }
 
-module.exports = { registerTestCommand };
+module.exports = {
+  registerTestCommand,
+  getTarget,
+  getScenario,
+  previewScenario,
+  resolveParams,
+  mapWithConcurrency,
+};
@@ -0,0 +1,244 @@
+const fs = require("fs-extra");
+const path = require("path");
+const crypto = require("crypto");
+const pkg = require("elliptic");
+const { convertToBase58 } = require("./wallet/utility");
+
+const ec = new pkg.ec("secp256k1");
+
+const MANIFEST_FILE = "manifest.json";
+const SIGNATURE_FILE = "manifest.sig.json";
+const SIGNATURE_ALGORITHM = "ecdsa-secp256k1-sha256";
+
+/**
+ * Manifest of a packed scenario
+ * @param {Object} scenario - Scenario from loadScenario
+ * @param {Object} bundle - Result of bundleScenario
+ * @param {Object} info - {methods, cliVersion, builtAt}
+ * @returns {Object} - Manifest, `sha256` is the hash of the bundled text
+ */
+function createManifest(scenario, bundle, { methods, cliVersion, builtAt }) {
+  const { config } = scenario;
+
+  return {
+    name: scenario.name,
+    version: config.version || "0.0.0",
+    description: config.description || "",
+    methods,
+    networks: Array.isArray(config.networks) ? config.networks : [],
+    tags: Array.isArray(config.tags) ? config.tags : [],
+    file: `${scenario.name}.psce`,
+    sha256: hash(bundle.text),
+    dependencies: bundle.dependencies.map((dependency) => ({
+      id: dependency.id,
+      sha256: hash(dependency.content),
+    })),
+    cliVersion,
+    builtAt,
+  };
+}
+
+/**
+ * Build time recorded in a manifest, fixed by the sources so that packing
+ * unchanged sources twice gives the same manifest: SOURCE_DATE_EPOCH if set,
+ * otherwise the newest modification time of the bundled files
+ * @param {string[]} files - Scenario file and dependency files
+ * @returns {Promise<string>} - ISO time
+ * @throws {Error} - When SOURCE_DATE_EPOCH is not a number of seconds
+ */
+async function getBuildTime(files) {
+  const epoch = process.env.SOURCE_DATE_EPOCH;
+  if (epoch !== undefined && epoch !== "") {
+    if (!/^\d+$/.test(epoch)) {
+      throw new Error("SOURCE_DATE_EPOCH must be a number of seconds");
+    }
+    return new Date(Number(epoch) * 1000).toISOString();
+  }
+
+  const stats = await Promise.all(files.map((file) => fs.stat(file)));
+  return new Date(
+    Math.max(...stats.map((stat) => stat.mtime.getTime()))
+  ).toISOString();
+}
+
+/**
+ * Sign the exact bytes of a manifest with an address key
+ * @param {string} manifestText - Content of manifest.json
+ * @param {Object} address - {address, privateKey}
+ * @returns {Object} - Detached signature ({algorithm, address, publicKey, signature})
+ */
+function signManifest(manifestText, address) {
+  const key = ec.keyFromPrivate(address.privateKey, "hex");
+
+  return {
+    algorithm: SIGNATURE_ALGORITHM,
+    address: address.address,
+    publicKey: key.getPublic().encode("hex", false),
+    signature: key.sign(hash(manifestText)).toDER("hex"),
+  };
+}
+
+/**
+ * Write an artifact directory: bundled scenario, manifest and signature
+ * @param {string} dir - Artifact directory, replaced if it exists
+ * @param {Object} artifact - {manifest, manifestText, text, signature}
+ * @returns {Promise<string[]>} - Written file names
+ */
+async function writeArtifact(dir, { manifest, manifestText, text, signature }) {
+  await fs.remove(dir);
+  await fs.ensureDir(dir);
+
+  const files = [manifest.file, MANIFEST_FILE];
+  await fs.writeFile(path.join(dir, manifest.file), text);
+  await fs.writeFile(path.join(dir, MANIFEST_FILE), manifestText);
+  if (signature) {
+    await fs.writeJson(path.join(dir, SIGNATURE_FILE), signature, {
+      spaces: 2,
+    });
+    files.push(SIGNATURE_FILE);
+  }
+
+  return files;
+}
+
+/**
+ * Read an artifact directory (or its manifest.json)
+ * @param {string} artifactPath - Directory or manifest path
+ * @returns {Promise<Object>} - {dir, manifest, manifestText, text, signature}
+ * @throws {Error} - When the manifest or scenario file is missing
+ */
+async function readArtifact(artifactPath) {
+  const dir =
+    path.basename(artifactPath) === MANIFEST_FILE
+      ? path.dirname(artifactPath)
+      : artifactPath;
+  const manifestFile = path.join(dir, MANIFEST_FILE);
+  if (!(await fs.pathExists(manifestFile))) {
+    throw new Error(`${MANIFEST_FILE} not found in ${dir}`);
+  }
+
+  const manifestText = await fs.readFile(manifestFile, "utf8");
+  const manifest = JSON.parse(manifestText);
+  if (
+    typeof manifest.file !== "string" ||
+    path.basename(manifest.file) !== manifest.file
+  ) {
+    throw new Error(`Invalid 'file' in ${MANIFEST_FILE}`);
+  }
+
+  const scenarioFile = path.join(dir, manifest.file);
+  if (!(await fs.pathExists(scenarioFile))) {
+    throw new Error(`${manifest.file} not found in ${dir}`);
+  }
+
+  const signatureFile = path.join(dir, SIGNATURE_FILE);
+  const signature = (await fs.pathExists(signatureFile))
+    ? await fs.readJson(signatureFile)
+    : null;
+
+  return {
+    dir,
+    manifest,
+    manifestText,
+    text: await fs.readFile(scenarioFile, "utf8"),
+    signature,
+  };
+}
+
+/**
+ * Check the scenario hash and the manifest signature of an artifact
+ * A valid signature proves nothing about who packed the artifact, so the
+ * signer must also be one of the trusted addresses.
+ * @param {Object} artifact - Result of readArtifact
+ * @param {string[]} trustedAddresses - Addresses allowed to sign it
+ * @returns {Array<Object>} - Checks ({name, passed, message})
+ */
+function verifyArtifact(artifact, trustedAddresses) {
+  const { manifest, manifestText, text, signature } = artifact;
+  const checks = [];
+  const check = (name, passed, message) =>
+    checks.push({ name, passed, message });
+
+  const actual = hash(text);
+  check(
+    "hash",
+    actual === manifest.sha256,
+    actual === manifest.sha256
+      ? `${manifest.file} matches sha256 ${actual}`
+      : `${manifest.file} has sha256 ${actual}, manifest lists ${manifest.sha256}`
+  );
+
+  if (!signature) {
+    check("signature", false, `Not signed, ${SIGNATURE_FILE} is missing`);
+    return checks;
+  }
+
+  let valid = false;
+  try {
+    valid =
+      signature.algorithm === SIGNATURE_ALGORITHM &&
+      ec
+        .keyFromPublic(signature.publicKey, "hex")
+        .verify(hash(manifestText), signature.signature);
+  } catch (error) {
+    valid = false;
+  }
+  check(
+    "signature",
+    valid,
+    valid
+      ? `Manifest signed by public key ${signature.publicKey.slice(0, 16)}...`
+      : "Signature does not match the manifest"
+  );
+
+  const owned = isAddressOfPublicKey(signature.address, signature.publicKey);
+  check(
+    "signer",
+    owned,
+    owned
+      ? `Public key belongs to ${signature.address}`
+      : `Public key does not belong to ${signature.address}`
+  );
+
+  if (trustedAddresses.length === 0) {
+    check("address", false, "No trusted signer to check the signer against");
+  } else {
+    const trusted = trustedAddresses.includes(signature.address);
+    check(
+      "address",
+      trusted,
+      trusted
+        ? `Signed by the trusted address ${signature.address}`
+        : `Signed by ${signature.address}, expected ${trustedAddresses.join(
+            " or "
+          )}`
+    );
+  }
+
+  return checks;
+}
+
+// Addresses are a chain prefix and the base58 of the public key hash
+function isAddressOfPublicKey(address, publicKey) {
+  if (typeof address !== "string" || typeof publicKey !== "string") {
+    return false;
+  }
+  const { base58 } = convertToBase58(publicKey, "");
+  const prefix = address.slice(0, address.length - base58.length);
+  return address.endsWith(base58) && /^[A-Z]*$/.test(prefix);
+}
+
+function hash(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  SIGNATURE_FILE,
+  createManifest,
+  getBuildTime,
+  signManifest,
+  writeArtifact,
+  readArtifact,
+  verifyArtifact,
+};
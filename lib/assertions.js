@@ -0,0 +1,243 @@
+const util = require("util");
+
+// Operators usable inside path predicates, e.g. { "$.balance": { $gt: 0 } }
+const OPERATORS = {
+  $eq: (actual, expected) => isDeepStrictEqual(actual, expected),
+  $ne: (actual, expected) => !isDeepStrictEqual(actual, expected),
+  $gt: (actual, expected) => actual > expected,
+  $gte: (actual, expected) => actual >= expected,
+  $lt: (actual, expected) => actual < expected,
+  $lte: (actual, expected) => actual <= expected,
+  $exists: (actual, expected) => (actual !== undefined) === Boolean(expected),
+  $type: (actual, expected) => typeOf(actual) === expected,
+  $in: (actual, expected) =>
+    Array.isArray(expected) &&
+    expected.some((item) => isDeepStrictEqual(actual, item)),
+  $contains: (actual, expected) => {
+    if (typeof actual === "string") return actual.includes(expected);
+    if (Array.isArray(actual)) {
+      return actual.some((item) => isDeepStrictEqual(item, expected));
+    }
+    return false;
+  },
+  $matches: (actual, expected) =>
+    typeof actual === "string" && new RegExp(expected).test(actual),
+  $length: (actual, expected) =>
+    actual != null && isDeepStrictEqual(actual.length, expected),
+};
+
+/**
+ * Evaluate the `expect` block of a test against a /previewScenario response
+ * @param {Object} expect - Expectations ({error, returnedData, match, paths})
+ * @param {Object} response - Network response ({error, returnedData})
+ * @returns {Array<Object>} - Failures ({message, diff}), empty when all pass
+ */
+function evaluateExpectations(expect, response) {
+  const expectations = expect || {};
+  const failures = [];
+  const expectedError =
+    expectations.error !== undefined ? expectations.error : 0;
+
+  if (response.error !== expectedError) {
+    failures.push({
+      message: `Expected error code ${expectedError}, got ${response.error}`,
+      diff: [],
+    });
+  }
+
+  if (expectations.returnedData !== undefined) {
+    const diff = diffValues(
+      expectations.returnedData,
+      response.returnedData,
+      "$",
+      false
+    );
+    if (diff.length > 0) {
+      failures.push({ message: "returnedData does not equal expected", diff });
+    }
+  }
+
+  if (expectations.match !== undefined) {
+    const diff = diffValues(
+      expectations.match,
+      response.returnedData,
+      "$",
+      true
+    );
+    if (diff.length > 0) {
+      failures.push({ message: "returnedData does not match expected", diff });
+    }
+  }
+
+  if (expectations.paths !== undefined) {
+    Object.entries(expectations.paths).forEach(([jsonPath, predicate]) => {
+      const failure = checkPath(response.returnedData, jsonPath, predicate);
+      if (failure) failures.push(failure);
+    });
+  }
+
+  return failures;
+}
+
+/**
+ * Check a single JSON-path predicate against returned data
+ * @param {any} data - Returned data
+ * @param {string} jsonPath - Path such as $.items[0].id
+ * @param {any} predicate - Expected value, operator object or function
+ * @returns {Object|null} - Failure or null when the predicate holds
+ */
+function checkPath(data, jsonPath, predicate) {
+  let actual;
+  try {
+    actual = getPath(data, jsonPath);
+  } catch (error) {
+    return { message: error.message, diff: [] };
+  }
+
+  if (typeof predicate === "function") {
+    let ok;
+    try {
+      ok = predicate(actual);
+    } catch (error) {
+      return {
+        message: `Predicate for ${jsonPath} threw: ${error.message}`,
+        diff: [],
+      };
+    }
+    return ok
+      ? null
+      : {
+          message: `Predicate for ${jsonPath} returned false`,
+          diff: [{ path: jsonPath, expected: "<predicate>", actual }],
+        };
+  }
+
+  if (isOperatorObject(predicate)) {
+    const failed = Object.entries(predicate).filter(
+      ([operator, expected]) => !OPERATORS[operator](actual, expected)
+    );
+    if (failed.length === 0) return null;
+    return {
+      message: `${jsonPath} does not satisfy ${failed
+        .map(([operator, expected]) => `${operator} ${format(expected)}`)
+        .join(", ")}`,
+      diff: [{ path: jsonPath, expected: predicate, actual }],
+    };
+  }
+
+  const diff = diffValues(predicate, actual, jsonPath, false);
+  return diff.length === 0
+    ? null
+    : { message: `${jsonPath} does not equal expected`, diff };
+}
+
+/**
+ * Resolve a JSON path ($, .key, [index], ["key"]) against a value
+ * @param {any} data - Root value
+ * @param {string} jsonPath - JSON path
+ * @returns {any} - Value at path, undefined when missing
+ */
+function getPath(data, jsonPath) {
+  if (typeof jsonPath !== "string" || !jsonPath.startsWith("$")) {
+    throw new Error(`Invalid JSON path '${jsonPath}' (must start with $)`);
+  }
+
+  const segments = [];
+  const pattern = /\.([A-Za-z_$][\w$]*)|\[(\d+)\]|\[(["'])(.*?)\3\]/g;
+  let position = 1;
+  let match;
+
+  while ((match = pattern.exec(jsonPath)) !== null) {
+    if (match.index !== position) break;
+    if (match[1] !== undefined) segments.push(match[1]);
+    else if (match[2] !== undefined) segments.push(Number(match[2]));
+    else segments.push(match[4]);
+    position = pattern.lastIndex;
+  }
+
+  if (position !== jsonPath.length) {
+    throw new Error(`Invalid JSON path '${jsonPath}'`);
+  }
+
+  return segments.reduce(
+    (value, segment) => (value == null ? undefined : value[segment]),
+    data
+  );
+}
+
+/**
+ * Compare two values and list the differing paths
+ * @param {any} expected - Expected value
+ * @param {any} actual - Actual value
+ * @param {string} currentPath - Path of the compared values
+ * @param {boolean} partial - Ignore object keys missing from expected
+ * @returns {Array<Object>} - Differences ({path, expected, actual, missing})
+ */
+function diffValues(expected, actual, currentPath, partial) {
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      return [{ path: currentPath, expected, actual }];
+    }
+    return expected.flatMap((item, index) =>
+      diffValues(item, actual[index], `${currentPath}[${index}]`, partial)
+    );
+  }
+
+  if (isPlainObject(expected)) {
+    if (!isPlainObject(actual)) {
+      return [{ path: currentPath, expected, actual }];
+    }
+
+    const keys = new Set(Object.keys(expected));
+    if (!partial) Object.keys(actual).forEach((key) => keys.add(key));
+
+    return [...keys].flatMap((key) => {
+      const keyPath = `${currentPath}.${key}`;
+      if (!(key in actual)) {
+        return [{ path: keyPath, expected: expected[key], missing: true }];
+      }
+      if (!(key in expected)) {
+        return [{ path: keyPath, actual: actual[key], unexpected: true }];
+      }
+      return diffValues(expected[key], actual[key], keyPath, partial);
+    });
+  }
+
+  return isDeepStrictEqual(expected, actual)
+    ? []
+    : [{ path: currentPath, expected, actual }];
+}
+
+function isOperatorObject(value) {
+  return (
+    isPlainObject(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every((key) => key in OPERATORS)
+  );
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isDeepStrictEqual(a, b) {
+  return util.isDeepStrictEqual(a, b);
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function format(value) {
+  return value === undefined ? "undefined" : JSON.stringify(value);
+}
+
+module.exports = {
+  evaluateExpectations,
+  checkPath,
+  getPath,
+  diffValues,
+  format,
+};
@@ -0,0 +1,186 @@
+const fs = require("fs-extra");
+const path = require("path");
+const crypto = require("crypto");
+const { isDeepStrictEqual } = require("util");
+const { getResultsDir } = require("./history");
+
+// Latency metrics compared with a baseline, higher is slower
+const COMPARED_METRICS = ["mean", "p95", "p99"];
+
+/**
+ * Latency and error statistics of a benchmark
+ * @param {Array<Object>} samples - {duration, error, failed} per request
+ * @param {number} elapsed - Wall time of the measured requests in ms
+ * @returns {Object} - {requests, responses, errors, failed, errorRate, min, mean, p95, p99, max, throughput}
+ */
+function summarizeSamples(samples, elapsed) {
+  // Requests without a response have no meaningful latency
+  const durations = samples
+    .filter((sample) => !sample.failed)
+    .map((sample) => sample.duration)
+    .sort((a, b) => a - b);
+  const failed = samples.filter((sample) => sample.failed).length;
+  const errors = samples.filter(
+    (sample) => sample.failed || sample.error !== 0
+  ).length;
+  const total = durations.reduce((sum, duration) => sum + duration, 0);
+
+  return {
+    requests: samples.length,
+    responses: durations.length,
+    errors,
+    failed,
+    errorRate: samples.length > 0 ? round(errors / samples.length) : 0,
+    min: durations.length > 0 ? durations[0] : null,
+    mean: durations.length > 0 ? round(total / durations.length) : null,
+    p95: percentile(durations, 95),
+    p99: percentile(durations, 99),
+    max: durations.length > 0 ? durations[durations.length - 1] : null,
+    throughput: elapsed > 0 ? round((durations.length / elapsed) * 1000) : 0,
+  };
+}
+
+/**
+ * Path of the baseline file of a scenario
+ * @param {string} workspaceDir - Workspace directory
+ * @param {string} scenarioName - Scenario name
+ * @returns {string} - .psce-results/bench/<scenario>.json
+ */
+function getBaselineFile(workspaceDir, scenarioName) {
+  return path.join(
+    getResultsDir(workspaceDir),
+    "bench",
+    `${scenarioName}.json`
+  );
+}
+
+/**
+ * Read the stored baseline of a method on a network
+ * @param {string} workspaceDir - Workspace directory
+ * @param {Object} scenario - Scenario from loadScenario
+ * @param {string} method - Benchmarked method
+ * @param {string} network - Network name
+ * @returns {Promise<Object|null>} - Baseline or null when none is stored
+ */
+async function loadBaseline(workspaceDir, scenario, method, network) {
+  const file = getBaselineFile(workspaceDir, scenario.name);
+  if (!(await fs.pathExists(file))) return null;
+
+  const baselines = await fs.readJson(file);
+  const baseline = baselines[getBaselineKey(method, network)];
+  if (!baseline) return null;
+
+  return {
+    ...baseline,
+    scenarioChanged: baseline.scenarioHash !== hash(scenario.content),
+  };
+}
+
+/**
+ * Store a benchmark as the baseline of a method on a network
+ * @param {string} workspaceDir - Workspace directory
+ * @param {Object} scenario - Scenario from loadScenario
+ * @param {Object} bench - {method, network, params, concurrency, stats}
+ * @returns {Promise<string>} - Baseline file path
+ */
+async function saveBaseline(workspaceDir, scenario, bench) {
+  const file = getBaselineFile(workspaceDir, scenario.name);
+  const baselines = (await fs.pathExists(file)) ? await fs.readJson(file) : {};
+
+  baselines[getBaselineKey(bench.method, bench.network)] = {
+    savedAt: new Date().toISOString(),
+    scenarioHash: hash(scenario.content),
+    params: bench.params,
+    concurrency: bench.concurrency,
+    stats: bench.stats,
+  };
+
+  await fs.outputJson(file, baselines, { spaces: 2 });
+  return file;
+}
+
+/**
+ * Compare latencies with a baseline
+ * @param {Object} stats - Current statistics from summarizeSamples
+ * @param {Object} baseline - Stored baseline
+ * @param {number} threshold - Allowed slowdown in percent
+ * @returns {Object} - {metrics: [{name, baseline, current, change, slower}], slower}
+ */
+function compareWithBaseline(stats, baseline, threshold) {
+  const metrics = COMPARED_METRICS.map((name) => {
+    const before = baseline.stats[name];
+    const current = stats[name];
+    const change =
+      before > 0 && current !== null
+        ? round(((current - before) / before) * 100)
+        : null;
+
+    return {
+      name,
+      baseline: before,
+      current,
+      change,
+      slower: change !== null && change > threshold,
+    };
+  });
+
+  return { metrics, slower: metrics.some((metric) => metric.slower) };
+}
+
+/**
+ * Settings of a benchmark that differ from its baseline, whose latencies are
+ * then not comparable
+ * @param {Object} baseline - Stored baseline
+ * @param {Object} bench - {params, concurrency}
+ * @returns {string[]} - Differences, e.g. "concurrency 8 (baseline 1)"
+ */
+function getBaselineMismatches(baseline, { params, concurrency }) {
+  const mismatches = [];
+  if (
+    baseline.concurrency !== undefined &&
+    baseline.concurrency !== concurrency
+  ) {
+    mismatches.push(
+      `concurrency ${concurrency} (baseline ${baseline.concurrency})`
+    );
+  }
+  if (
+    baseline.params !== undefined &&
+    !isDeepStrictEqual(baseline.params, params)
+  ) {
+    mismatches.push(
+      `params ${JSON.stringify(params)} (baseline ${JSON.stringify(
+        baseline.params
+      )})`
+    );
+  }
+  return mismatches;
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+function getBaselineKey(method, network) {
+  return `${method} @ ${network}`;
+}
+
+function hash(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  summarizeSamples,
+  getBaselineFile,
+  loadBaseline,
+  saveBaseline,
+  compareWithBaseline,
+  getBaselineMismatches,
+};
@@ -0,0 +1,220 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { loadScenario } = require("./scenarios");
+const { parseScenario, getTopLevelNames } = require("./scenario-parser");
+
+const SCENARIO_PREFIX = "scenario:";
+const LIB_PREFIX = "lib:";
+// Library modules list their own dependencies in a comment line
+const DEPENDENCIES_DIRECTIVE = /^\s*\/\/\s*@dependencies\s+(.+)$/m;
+
+/**
+ * Directory of shared library modules, `libDir` in psce.json
+ * @param {string} workspaceDir - Workspace directory
+ * @param {Object} psceConfig - Content of psce.json
+ * @returns {string} - Absolute lib directory
+ */
+function getLibPath(workspaceDir, psceConfig) {
+  return path.resolve(workspaceDir, psceConfig.libDir || "lib");
+}
+
+/**
+ * Resolve the dependencies of a scenario, depth first
+ * A dependency is "name" or "lib:name" for <libDir>/name.psce, or
+ * "scenario:name" for the .psce file of another scenario, whose own
+ * dependencies are resolved as well. Another scenario is wrapped in a
+ * namespace object (see getNamespace) so its functions, `init` included,
+ * do not clash with those of the scenario using it.
+ * @param {Object} scenario - Scenario from loadScenario
+ * @param {Object} options - {scenariosPath, libPath}
+ * @returns {Promise<Array<Object>>} - Modules ({id, file, content}) in
+ *   bundle order, the scenario itself last
+ * @throws {Error} - When a dependency is missing or part of a cycle
+ */
+async function resolveDependencies(scenario, options) {
+  const ordered = [];
+  const done = new Set();
+
+  const visit = async (source, stack) => {
+    const index = stack.indexOf(source.id);
+    if (index !== -1) {
+      throw new Error(
+        `Dependency cycle: ${[...stack.slice(index), source.id].join(" -> ")}`
+      );
+    }
+    if (done.has(source.id)) return;
+
+    for (const dependency of source.dependencies) {
+      const child = await loadModule(dependency, source, options);
+      await visit(child, [...stack, source.id]);
+    }
+
+    done.add(source.id);
+    ordered.push({ id: source.id, file: source.file, content: source.content });
+  };
+
+  await visit(
+    {
+      id: `${SCENARIO_PREFIX}${scenario.name}`,
+      file: scenario.file,
+      content: scenario.content,
+      dependencies: getConfigDependencies(scenario),
+    },
+    []
+  );
+
+  return ordered;
+}
+
+/**
+ * Build the scenarioText sent to a node: dependencies first, then the
+ * scenario. Without dependencies the text is the scenario source unchanged.
+ * @param {Object} scenario - Scenario from loadScenario
+ * @param {Object} options - {scenariosPath, libPath}
+ * @returns {Promise<Object>} - {text, dependencies}
+ * @throws {Error} - When a dependency cannot be resolved or two modules
+ *   declare the same top-level name
+ */
+async function bundleScenario(scenario, options) {
+  const modules = await resolveDependencies(scenario, options);
+  const dependencies = modules.slice(0, -1);
+  if (dependencies.length === 0) {
+    return { text: scenario.content, dependencies: [] };
+  }
+
+  checkDuplicateNames(modules);
+
+  const text = modules
+    .map((source) => `// --- ${source.id} ---\n${source.content.trimEnd()}\n`)
+    .join("\n");
+  return { text, dependencies };
+}
+
+async function loadModule(spec, parent, { scenariosPath, libPath }) {
+  if (typeof spec !== "string" || !spec.trim()) {
+    throw new Error(
+      `Invalid dependency ${JSON.stringify(spec)} in ${parent.id}`
+    );
+  }
+
+  if (spec.startsWith(SCENARIO_PREFIX)) {
+    const name = spec.slice(SCENARIO_PREFIX.length);
+    const scenario = await loadScenario(scenariosPath, name);
+    if (!scenario) {
+      throw new Error(`Scenario '${name}' required by ${parent.id} not found`);
+    }
+    return {
+      id: `${SCENARIO_PREFIX}${name}`,
+      file: scenario.file,
+      content: wrapScenario(name, scenario.content),
+      dependencies: getConfigDependencies(scenario),
+    };
+  }
+
+  const name = spec.startsWith(LIB_PREFIX)
+    ? spec.slice(LIB_PREFIX.length)
+    : spec;
+  const file = path.resolve(libPath, `${name}.psce`);
+  if (path.relative(libPath, file).startsWith("..")) {
+    throw new Error(
+      `Dependency '${spec}' of ${parent.id} is outside the lib directory`
+    );
+  }
+  if (!(await fs.pathExists(file))) {
+    throw new Error(
+      `Library module '${name}' required by ${parent.id} not found: ${file}`
+    );
+  }
+
+  const content = await fs.readFile(file, "utf8");
+  const directive = content.match(DEPENDENCIES_DIRECTIVE);
+  return {
+    id: `${LIB_PREFIX}${name}`,
+    file,
+    content,
+    dependencies: directive
+      ? directive[1]
+          .split(",")
+          .map((dependency) => dependency.trim())
+          .filter((dependency) => dependency)
+      : [],
+  };
+}
+
+/**
+ * Name of the object a "scenario:<name>" dependency is bundled as, the
+ * scenario name in camelCase (my-token -> myToken)
+ * @param {string} name - Scenario name
+ * @returns {string} - Identifier
+ * @throws {Error} - When the name does not make a valid identifier
+ */
+function getNamespace(name) {
+  const namespace = name.replace(/-+([a-zA-Z0-9])/g, (match, letter) =>
+    letter.toUpperCase()
+  );
+  try {
+    if (!/^[A-Za-z_$][\w$]*$/.test(namespace)) throw new Error();
+    parseScenario(`const ${namespace} = null;`);
+  } catch (error) {
+    throw new Error(
+      `Scenario '${name}' cannot be a dependency, '${namespace}' is not a valid identifier`
+    );
+  }
+  return namespace;
+}
+
+// const token = (() => { <token.psce> return { init, transfer }; })();
+function wrapScenario(name, content) {
+  const namespace = getNamespace(name);
+  let functions;
+  try {
+    ({ functions } = parseScenario(content));
+  } catch (error) {
+    throw new Error(`${SCENARIO_PREFIX}${name}: ${error.message}`);
+  }
+
+  const exported = functions.map((fn) => fn.name).join(", ");
+  return `const ${namespace} = (() => {\n${content.trimEnd()}\nreturn { ${exported} };\n})();\n`;
+}
+
+function getConfigDependencies(scenario) {
+  const dependencies = scenario.config.dependencies || [];
+  if (!Array.isArray(dependencies)) {
+    throw new Error(
+      `'dependencies' of scenario '${scenario.name}' must be an array`
+    );
+  }
+  return dependencies;
+}
+
+// Modules share one scope in the bundle: a second function would silently
+// replace the first, a second const, let or class is a SyntaxError
+function checkDuplicateNames(modules) {
+  const declaredBy = new Map();
+
+  modules.forEach((source) => {
+    let ast;
+    try {
+      ({ ast } = parseScenario(source.content));
+    } catch (error) {
+      throw new Error(`${source.id}: ${error.message}`);
+    }
+
+    getTopLevelNames(ast).forEach(({ name }) => {
+      const previous = declaredBy.get(name);
+      if (previous && previous !== source.id) {
+        throw new Error(
+          `'${name}' is declared in both ${previous} and ${source.id}`
+        );
+      }
+      declaredBy.set(name, source.id);
+    });
+  });
+}
+
+module.exports = {
+  getLibPath,
+  getNamespace,
+  resolveDependencies,
+  bundleScenario,
+};
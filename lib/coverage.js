@@ -0,0 +1,82 @@
+const { getScenarioFunctions } = require("./scenario-parser");
+const { getDeclaredMethods } = require("./scenarios");
+
+/**
+ * Cross-reference the methods of a scenario: declared in
+ * .scenario-config.json, defined in the .psce source and exercised by tests.
+ * Like lint and sync, the methods are the declared ones, or the async
+ * functions when none are declared; other functions are helpers and do not
+ * count towards coverage.
+ * @param {Object} scenario - Scenario from loadScenario
+ * @param {string[]} testedMethods - Methods called by the test run
+ * @returns {Object} - Method lists and the covered/total counts
+ */
+function getScenarioCoverage(scenario, testedMethods) {
+  const declared = getDeclaredMethods(scenario.config);
+  let functions = [];
+  let parseError = null;
+
+  try {
+    functions = getScenarioFunctions(scenario.content);
+  } catch (error) {
+    parseError = error.message;
+  }
+
+  const defined = functions.map((fn) => fn.name);
+  const asyncFunctions = functions
+    .filter((fn) => fn.async)
+    .map((fn) => fn.name);
+  const methods =
+    declared.length > 0
+      ? declared.filter((method) => defined.includes(method))
+      : asyncFunctions;
+
+  const tested = unique(testedMethods);
+  const covered = methods.filter((method) => tested.includes(method));
+
+  return {
+    scenario: scenario.name,
+    declared,
+    defined,
+    methods,
+    tested,
+    untested: methods.filter((method) => !tested.includes(method)),
+    undeclared: asyncFunctions.filter((method) => !declared.includes(method)),
+    notDefined: declared.filter((method) => !defined.includes(method)),
+    helpers: defined.filter(
+      (name) => !methods.includes(name) && !asyncFunctions.includes(name)
+    ),
+    covered: covered.length,
+    total: methods.length,
+    percent: percent(covered.length, methods.length),
+    parseError,
+  };
+}
+
+/**
+ * Total coverage of several scenarios
+ * @param {Array<Object>} coverages - Results of getScenarioCoverage
+ * @returns {Object} - {covered, total, percent}
+ */
+function summarizeCoverage(coverages) {
+  const covered = coverages.reduce(
+    (sum, coverage) => sum + coverage.covered,
+    0
+  );
+  const total = coverages.reduce((sum, coverage) => sum + coverage.total, 0);
+  return { covered, total, percent: percent(covered, total) };
+}
+
+function percent(covered, total) {
+  if (total === 0) return 100;
+  return Math.round((covered / total) * 1000) / 10;
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+module.exports = {
+  getScenarioCoverage,
+  summarizeCoverage,
+};
@@ -0,0 +1,279 @@
+const http = require("http");
+const vm = require("vm");
+const crypto = require("crypto");
+const { createNewAddress } = require("./wallet/createNewAddress");
+
+// Runs inside the sandbox before the scenario code. Host objects are never
+// passed into the context, values cross the boundary as JSON strings only.
+const PRELUDE = `
+var STATE = JSON.parse(__stateJson);
+var __logs = [];
+var console = {
+  log: (...args) => { __logs.push(args.map(__format).join(" ")); },
+};
+console.info = console.log;
+console.warn = console.log;
+console.error = console.log;
+function __format(value) {
+  if (typeof value === "string") return value;
+  try { return JSON.stringify(value); } catch (e) { return String(value); }
+}
+`;
+
+// Settles the method call inside the sandbox and stores the outcome as JSON
+// strings, so nothing is awaited across the context boundary
+const CALL = `
+var __outcome = null;
+(async () => globalThis[__method](...JSON.parse(__paramsJson)))().then(
+  (value) => {
+    try {
+      var json = value === undefined ? "null" : JSON.stringify(value);
+      __outcome = json === undefined ? { unserializable: typeof value } : { json };
+    } catch (e) {
+      __outcome = { unserializable: e && e.message ? e.message : String(e) };
+    }
+  },
+  (e) => { __outcome = { error: e && e.message ? e.message : String(e) }; }
+);
+`;
+
+/**
+ * Local stand-in for the Pirichain node endpoints used by the CLI
+ * (/previewScenario, /getStats and /getBlock)
+ */
+class ScenarioEmulator {
+  /**
+   * @param {Object} options - Emulator options
+   * @param {string} options.prefix - Address prefix of the emulated network
+   * @param {string} [options.owner] - Fixed OWNER_ADDRESS for all scenarios
+   * @param {number} [options.timeout] - Execution timeout in milliseconds
+   * @param {function} [options.onRequest] - Called after each request
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix || "TZ";
+    this.owner = options.owner || null;
+    this.timeout = options.timeout || 5000;
+    this.onRequest = options.onRequest || (() => {});
+    this.startedAt = Date.now();
+    this.previewCount = 0;
+    // Scenario state keyed by the SHA-256 of the scenario text
+    this.scenarios = new Map();
+    this.genesis = {
+      blockNumber: 1,
+      producerAddress: createNewAddress(this.prefix).data.pub,
+      timestamp: this.startedAt,
+      hash: crypto.randomBytes(32).toString("hex"),
+      transactions: [],
+    };
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener("error", reject);
+        resolve(this.server.address());
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      if (this.server.closeAllConnections) this.server.closeAllConnections();
+    });
+  }
+
+  async handle(req, res) {
+    const startTime = Date.now();
+    const routes = {
+      "/previewScenario": (body) => this.previewScenario(body),
+      "/getStats": () => this.getStats(),
+      "/getBlock": (body) => this.getBlock(body),
+    };
+    const route = routes[req.url.split("?")[0]];
+
+    let status = 200;
+    let payload;
+
+    if (!route) {
+      status = 404;
+      payload = { error: 1, message: `Unknown endpoint: ${req.url}` };
+    } else if (req.method !== "POST") {
+      status = 405;
+      payload = { error: 1, message: "Only POST requests are supported" };
+    } else {
+      try {
+        payload = await route(await readJsonBody(req));
+      } catch (error) {
+        status = 400;
+        payload = { error: 1, message: error.message };
+      }
+    }
+
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(payload));
+
+    this.onRequest({
+      method: req.method,
+      url: req.url,
+      status,
+      duration: Date.now() - startTime,
+      payload,
+    });
+  }
+
+  getStats() {
+    return {
+      network: "psce-emulator",
+      prefix: this.prefix,
+      blockCount: 1,
+      scenarioCount: this.scenarios.size,
+      previewCount: this.previewCount,
+      uptime: Math.floor((Date.now() - this.startedAt) / 1000),
+    };
+  }
+
+  getBlock(body) {
+    if (Number(body.blockNumber) !== 1) {
+      return { error: 1, message: `Block ${body.blockNumber} not found` };
+    }
+    return this.genesis;
+  }
+
+  /**
+   * Execute a scenario method the way /previewScenario does
+   * @param {Object} body - {scenarioText, address, privateKey, method, params}
+   * @returns {Promise<Object>} - {error, returnedData, logs}
+   */
+  async previewScenario(body) {
+    const { scenarioText, address, method } = body;
+    const params = Array.isArray(body.params) ? body.params : [];
+
+    if (typeof scenarioText !== "string" || !scenarioText.trim()) {
+      return {
+        error: 1,
+        returnedData: { message: "scenarioText is required" },
+      };
+    }
+    if (typeof method !== "string" || !method) {
+      return { error: 1, returnedData: { message: "method is required" } };
+    }
+
+    this.previewCount++;
+    const scenario = this.getScenarioState(scenarioText, address);
+
+    // A null-prototype sandbox keeps host constructors out of reach
+    const sandbox = Object.assign(Object.create(null), {
+      OWNER_ADDRESS: scenario.owner,
+      CALLER_ADDRESS: address || null,
+      __stateJson: scenario.state,
+      __method: method,
+      __paramsJson: JSON.stringify(params),
+    });
+    // Promise jobs run before runInContext returns, so the timeout also
+    // covers code after an await
+    const context = vm.createContext(sandbox, {
+      codeGeneration: { strings: false, wasm: false },
+      microtaskMode: "afterEvaluate",
+    });
+
+    try {
+      vm.runInContext(PRELUDE, context);
+      vm.runInContext(scenarioText, context, {
+        filename: "scenario.psce",
+        timeout: this.timeout,
+      });
+
+      if (
+        vm.runInContext(`typeof globalThis[__method]`, context) !== "function"
+      ) {
+        return {
+          error: 1,
+          returnedData: { message: `Method '${method}' not found in scenario` },
+        };
+      }
+
+      vm.runInContext(CALL, context, { timeout: this.timeout });
+      const outcome = JSON.parse(
+        vm.runInContext("JSON.stringify(__outcome)", context)
+      );
+
+      if (!outcome) {
+        throw new Error(
+          `Method '${method}' did not complete, it awaits a promise that never settles`
+        );
+      }
+      if (outcome.error !== undefined) throw new Error(outcome.error);
+      if (outcome.unserializable !== undefined) {
+        throw new Error(
+          `Method '${method}' returned a value that is not JSON serializable (${outcome.unserializable})`
+        );
+      }
+
+      // Commit state changes only when the method completed
+      scenario.state = vm.runInContext("JSON.stringify(STATE)", context, {
+        timeout: this.timeout,
+      });
+      const returnedData = JSON.parse(outcome.json);
+      const error =
+        returnedData &&
+        typeof returnedData === "object" &&
+        typeof returnedData.error === "number"
+          ? returnedData.error
+          : 0;
+
+      return { error, returnedData, logs: readLogs(context) };
+    } catch (error) {
+      return {
+        error: 1,
+        returnedData: { message: error.message || String(error) },
+        logs: readLogs(context),
+      };
+    }
+  }
+
+  getScenarioState(scenarioText, address) {
+    const hash = crypto.createHash("sha256").update(scenarioText).digest("hex");
+
+    if (!this.scenarios.has(hash)) {
+      // The first caller deploys the scenario unless an owner is fixed
+      this.scenarios.set(hash, {
+        owner: this.owner || address || null,
+        state: "{}",
+      });
+    }
+
+    return this.scenarios.get(hash);
+  }
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      data += chunk;
+    });
+    req.on("end", () => {
+      if (!data.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch (error) {
+        reject(new Error("Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function readLogs(context) {
+  try {
+    return JSON.parse(vm.runInContext("JSON.stringify(__logs)", context));
+  } catch {
+    return [];
+  }
+}
+
+module.exports = ScenarioEmulator;
@@ -0,0 +1,129 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { getPath } = require("./assertions");
+
+// ${name} references to captured values
+const VARIABLE_PATTERN = /\$\{([A-Za-z_][\w]*)\}/g;
+const WHOLE_VARIABLE_PATTERN = /^\$\{([A-Za-z_][\w]*)\}$/;
+
+/**
+ * Read and validate a flow file
+ * @param {string} file - Path of a *.flow.json file
+ * @returns {Promise<Object>} - {name, file, description, steps}
+ * @throws {Error} - When the file is not a valid flow
+ */
+async function loadFlow(file) {
+  let flow;
+  try {
+    flow = await fs.readJson(file);
+  } catch (error) {
+    throw new Error(`Invalid flow file ${file}: ${error.message}`);
+  }
+
+  if (!flow || !Array.isArray(flow.steps) || flow.steps.length === 0) {
+    throw new Error(`Flow ${file} must define a non-empty "steps" array`);
+  }
+
+  const steps = flow.steps.map((step, index) => {
+    const label = `Step ${index + 1}`;
+    if (!step || typeof step.method !== "string" || !step.method) {
+      throw new Error(`${label} must define a "method"`);
+    }
+    if (step.params !== undefined && !Array.isArray(step.params)) {
+      throw new Error(`${label} "params" must be an array`);
+    }
+    if (step.as !== undefined && typeof step.as !== "string") {
+      throw new Error(`${label} "as" must be an address name`);
+    }
+    if (
+      step.capture !== undefined &&
+      (typeof step.capture !== "object" || Array.isArray(step.capture))
+    ) {
+      throw new Error(`${label} "capture" must map names to JSON paths`);
+    }
+
+    return {
+      method: step.method,
+      params: step.params || [],
+      description: step.description || "",
+      as: step.as || null,
+      capture: step.capture || {},
+      expect: step.expect,
+    };
+  });
+
+  return {
+    name: path.basename(file).replace(/\.flow\.json$/, ""),
+    file,
+    description: flow.description || "",
+    steps,
+  };
+}
+
+/**
+ * Replace ${name} references with captured values. A string that is only a
+ * reference keeps the captured type, other strings are interpolated.
+ * @param {any} value - Params or expectations of a step
+ * @param {Object} variables - Values captured by earlier steps
+ * @returns {any} - Value with references resolved
+ * @throws {Error} - When a reference was not captured
+ */
+function resolveVariables(value, variables) {
+  if (typeof value === "string") {
+    const whole = value.match(WHOLE_VARIABLE_PATTERN);
+    if (whole) return getVariable(variables, whole[1]);
+
+    return value.replace(VARIABLE_PATTERN, (match, name) => {
+      const variable = getVariable(variables, name);
+      return typeof variable === "string" ? variable : JSON.stringify(variable);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveVariables(item, variables));
+  }
+
+  if (value && typeof value === "object") {
+    const resolved = {};
+    Object.entries(value).forEach(([key, item]) => {
+      resolved[key] = resolveVariables(item, variables);
+    });
+    return resolved;
+  }
+
+  return value;
+}
+
+/**
+ * Read the values a step captures from its returned data
+ * @param {Object} capture - Variable names mapped to JSON paths
+ * @param {any} returnedData - Returned data of the step
+ * @returns {Object} - Captured values keyed by variable name
+ * @throws {Error} - When a path is missing from the returned data
+ */
+function captureValues(capture, returnedData) {
+  const values = {};
+
+  Object.entries(capture).forEach(([name, jsonPath]) => {
+    const value = getPath(returnedData, jsonPath);
+    if (value === undefined) {
+      throw new Error(`Cannot capture '${name}': ${jsonPath} not found`);
+    }
+    values[name] = value;
+  });
+
+  return values;
+}
+
+function getVariable(variables, name) {
+  if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+    throw new Error(`Variable '${name}' was not captured by an earlier step`);
+  }
+  return variables[name];
+}
+
+module.exports = {
+  loadFlow,
+  resolveVariables,
+  captureValues,
+};
@@ -0,0 +1,214 @@
+const fs = require("fs-extra");
+const path = require("path");
+const util = require("util");
+const crypto = require("crypto");
+const { diffValues } = require("./assertions");
+
+const RESULTS_DIR = ".psce-results";
+const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Directory holding the stored test runs of a workspace
+ * @param {string} workspaceDir - Workspace directory
+ * @returns {string} - <workspace>/.psce-results
+ */
+function getResultsDir(workspaceDir) {
+  return path.join(workspaceDir, RESULTS_DIR);
+}
+
+/**
+ * Store a test run and drop the oldest runs above the limit
+ * @param {string} workspaceDir - Workspace directory
+ * @param {Object} report - Report created by buildReport
+ * @param {Object} scenarios - Scenario sources keyed by name
+ * @param {number} [limit] - Number of runs to keep
+ * @returns {Promise<Object>} - Stored run
+ */
+async function saveRun(workspaceDir, report, scenarios, limit) {
+  const run = {
+    id: createRunId(new Date(report.startedAt)),
+    ...report,
+    networks: unique(report.tests.map((test) => test.network)),
+    scenarios: Object.fromEntries(
+      Object.entries(scenarios).map(([name, content]) => [name, hash(content)])
+    ),
+  };
+
+  const resultsDir = getResultsDir(workspaceDir);
+  await fs.outputJson(path.join(resultsDir, `${run.id}.json`), run, {
+    spaces: 2,
+  });
+
+  const ids = await listRunIds(workspaceDir);
+  const keep = limit || DEFAULT_HISTORY_LIMIT;
+  for (const id of ids.slice(keep)) {
+    await fs.remove(path.join(resultsDir, `${id}.json`));
+  }
+
+  return run;
+}
+
+/**
+ * List stored runs, most recent first
+ * @param {string} workspaceDir - Workspace directory
+ * @returns {Promise<Array<Object>>} - Runs without their test entries
+ */
+async function listRuns(workspaceDir) {
+  const runs = [];
+
+  for (const id of await listRunIds(workspaceDir)) {
+    try {
+      const { tests, ...run } = await readRun(workspaceDir, id);
+      runs.push(run);
+    } catch (error) {
+      // Skip unreadable files instead of failing the whole listing
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Load a stored run by id, unique id prefix or position in the history
+ * (~1 is the most recent run). Positions need the ~ because run ids start
+ * with digits too.
+ * @param {string} workspaceDir - Workspace directory
+ * @param {string} ref - Run reference
+ * @returns {Promise<Object>} - Stored run
+ * @throws {Error} - When no single run matches
+ */
+async function loadRun(workspaceDir, ref) {
+  const ids = await listRunIds(workspaceDir);
+
+  const position = ref.match(/^~(\d+)$/);
+  if (position) {
+    const id = ids[Number(position[1]) - 1];
+    if (!id) throw new Error(`No run ${ref} in history (${ids.length} runs)`);
+    return await readRun(workspaceDir, id);
+  }
+
+  const matches = ids.filter((id) => id.startsWith(ref));
+  if (matches.length === 0) throw new Error(`Run '${ref}' not found`);
+  if (matches.length > 1) {
+    throw new Error(`Run '${ref}' is ambiguous: ${matches.join(", ")}`);
+  }
+  return await readRun(workspaceDir, matches[0]);
+}
+
+/**
+ * Compare the tests of two runs
+ * @param {Object} runA - Earlier run
+ * @param {Object} runB - Later run
+ * @returns {Object} - {regressions, fixed, changed, added, removed, scenariosChanged}
+ */
+function compareRuns(runA, runB) {
+  const testsA = keyTests(runA.tests);
+  const testsB = keyTests(runB.tests);
+  const comparison = {
+    regressions: [],
+    fixed: [],
+    changed: [],
+    added: [],
+    removed: [],
+    scenariosChanged: Object.keys(runB.scenarios || {}).filter(
+      (name) =>
+        runA.scenarios &&
+        runA.scenarios[name] &&
+        runA.scenarios[name] !== runB.scenarios[name]
+    ),
+  };
+
+  testsB.forEach((testB, key) => {
+    const testA = testsA.get(key);
+    if (!testA) {
+      comparison.added.push({ key, test: testB });
+      return;
+    }
+
+    const entry = { key, before: testA, after: testB };
+    if (testA.status === "passed" && testB.status !== "passed") {
+      comparison.regressions.push(entry);
+    } else if (testA.status !== "passed" && testB.status === "passed") {
+      comparison.fixed.push(entry);
+    }
+
+    if (!util.isDeepStrictEqual(testA.returnedData, testB.returnedData)) {
+      comparison.changed.push({
+        ...entry,
+        diff: diffValues(testA.returnedData, testB.returnedData, "$", false),
+      });
+    }
+  });
+
+  testsA.forEach((testA, key) => {
+    if (!testsB.has(key)) comparison.removed.push({ key, test: testA });
+  });
+
+  return comparison;
+}
+
+function keyTests(tests) {
+  const keyed = new Map();
+  const counts = new Map();
+
+  tests.forEach((test) => {
+    const title = [
+      test.scenario,
+      test.method || test.file,
+      test.description ? `- ${test.description}` : "",
+      test.network ? `@ ${test.network}` : "",
+    ]
+      .filter((part) => part)
+      .join(" ");
+    // Tests sharing a title are told apart by their position
+    const count = (counts.get(title) || 0) + 1;
+    counts.set(title, count);
+    keyed.set(count > 1 ? `${title} #${count}` : title, test);
+  });
+
+  return keyed;
+}
+
+async function listRunIds(workspaceDir) {
+  const resultsDir = getResultsDir(workspaceDir);
+  if (!(await fs.pathExists(resultsDir))) return [];
+
+  return (await fs.readdir(resultsDir))
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -".json".length))
+    .sort()
+    .reverse();
+}
+
+async function readRun(workspaceDir, id) {
+  return await fs.readJson(
+    path.join(getResultsDir(workspaceDir), `${id}.json`)
+  );
+}
+
+// 2026-01-31T12:00:00.123Z -> 20260131-120000-123
+function createRunId(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace("T", "-")
+    .replace(".", "-")
+    .replace("Z", "");
+}
+
+function hash(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function unique(values) {
+  return [...new Set(values.filter((value) => value))];
+}
+
+module.exports = {
+  RESULTS_DIR,
+  getResultsDir,
+  saveRun,
+  listRuns,
+  loadRun,
+  compareRuns,
+};
@@ -0,0 +1,451 @@
+const path = require("path");
+const { parseScenario, getPatternNames } = require("./scenario-parser");
+const { getDeclaredMethods } = require("./scenarios");
+
+// Globals provided to scenario code by the node. The emulator adds
+// CALLER_ADDRESS and STATE, projects relying on them list them in lintGlobals.
+const SCENARIO_GLOBALS = ["OWNER_ADDRESS", "console"];
+
+// Standard JavaScript globals
+const BUILTIN_GLOBALS = [
+  "Array",
+  "ArrayBuffer",
+  "BigInt",
+  "Boolean",
+  "DataView",
+  "Date",
+  "Error",
+  "EvalError",
+  "Infinity",
+  "Intl",
+  "JSON",
+  "Map",
+  "Math",
+  "NaN",
+  "Number",
+  "Object",
+  "Promise",
+  "Proxy",
+  "RangeError",
+  "ReferenceError",
+  "Reflect",
+  "RegExp",
+  "Set",
+  "String",
+  "Symbol",
+  "SyntaxError",
+  "TypeError",
+  "URIError",
+  "Uint8Array",
+  "WeakMap",
+  "WeakSet",
+  "arguments",
+  "decodeURIComponent",
+  "encodeURIComponent",
+  "globalThis",
+  "isFinite",
+  "isNaN",
+  "parseFloat",
+  "parseInt",
+  "undefined",
+];
+
+// Node.js globals that do not exist when a node runs the scenario
+const FORBIDDEN_GLOBALS = [
+  "require",
+  "process",
+  "module",
+  "exports",
+  "global",
+  "Buffer",
+  "__dirname",
+  "__filename",
+];
+
+const SEVERITY = {
+  "syntax-error": "error",
+  "missing-method": "error",
+  "dependency-error": "error",
+  "forbidden-global": "error",
+  "undefined-global": "error",
+  "non-async-method": "warning",
+  "return-shape": "warning",
+};
+
+/**
+ * Find problems in a scenario without sending it to a node
+ * @param {Object} scenario - Scenario from loadScenario
+ * @param {Object} [options] - Lint options
+ * @param {string[]} [options.globals] - Extra globals the node provides
+ * @param {string} [options.configText] - Raw .scenario-config.json, used to
+ *   locate declared methods
+ * @param {Array<Object>} [options.dependencies] - Bundled modules
+ *   ({id, content}) whose top-level names the scenario may use
+ * @param {string} [options.dependencyError] - Why the dependencies could not
+ *   be resolved
+ * @returns {Array<Object>} - Problems ({rule, severity, message, line, column, file})
+ */
+function lintScenario(scenario, options = {}) {
+  const problems = [];
+  const configFile = path.join(scenario.dir, ".scenario-config.json");
+  const report = (rule, message, loc, file = scenario.file) =>
+    problems.push({
+      file,
+      line: loc.line,
+      column: loc.column,
+      severity: SEVERITY[rule],
+      rule,
+      message,
+    });
+
+  let parsed;
+  try {
+    parsed = parseScenario(scenario.content);
+  } catch (error) {
+    const loc = error.loc
+      ? { line: error.loc.line, column: error.loc.column + 1 }
+      : { line: 1, column: 1 };
+    report("syntax-error", error.message.replace(/ \(\d+:\d+\)$/, ""), loc);
+    return problems;
+  }
+
+  const { ast, functions } = parsed;
+  const declared = getDeclaredMethods(scenario.config);
+  const provided = getProvidedNames(options.dependencies || []);
+  const defined = [...functions.map((fn) => fn.name), ...provided];
+
+  if (options.dependencyError) {
+    report(
+      "dependency-error",
+      options.dependencyError,
+      locate(options.configText, '"dependencies"'),
+      configFile
+    );
+  }
+
+  declared
+    .filter((method) => !defined.includes(method))
+    .forEach((method) => {
+      report(
+        "missing-method",
+        `Method '${method}' is declared in .scenario-config.json but not defined`,
+        locate(options.configText, `"${method}"`),
+        configFile
+      );
+    });
+
+  // Declared methods are the scenario's API, without a list every
+  // top-level function is
+  const exported = functions.filter(
+    (fn) => declared.length === 0 || declared.includes(fn.name)
+  );
+  exported.forEach((fn) => {
+    if (!fn.async) {
+      report(
+        "non-async-method",
+        `Method '${fn.name}' should be declared async`,
+        { line: fn.line, column: fn.column }
+      );
+    }
+
+    findReturns(fn.node.body).forEach((statement) => {
+      const problem = checkReturnShape(statement.argument);
+      if (problem) {
+        report(
+          "return-shape",
+          `'${fn.name}' ${problem}, expected an object like {error: 0, ...}`,
+          toLocation(statement.loc.start)
+        );
+      }
+    });
+  });
+
+  const knownGlobals = new Set([
+    ...BUILTIN_GLOBALS,
+    ...SCENARIO_GLOBALS,
+    ...(options.globals || []),
+    ...provided,
+  ]);
+  findUndeclaredReferences(ast).forEach((node) => {
+    if (knownGlobals.has(node.name)) return;
+    // Names from unresolved dependencies are unknown
+    if (options.dependencyError && !FORBIDDEN_GLOBALS.includes(node.name)) {
+      return;
+    }
+
+    if (FORBIDDEN_GLOBALS.includes(node.name)) {
+      report(
+        "forbidden-global",
+        `'${node.name}' is a Node.js global and is not available in scenarios`,
+        toLocation(node.loc.start)
+      );
+    } else {
+      report(
+        "undefined-global",
+        `'${node.name}' is not defined`,
+        toLocation(node.loc.start)
+      );
+    }
+  });
+
+  return problems.sort(
+    (a, b) =>
+      a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column
+  );
+}
+
+// Top-level names declared by bundled dependencies
+function getProvidedNames(dependencies) {
+  return dependencies.flatMap((dependency) => {
+    try {
+      return collectDeclarations(parseScenario(dependency.content).ast);
+    } catch (error) {
+      // The bundler reports dependencies that do not parse
+      return [];
+    }
+  });
+}
+
+// Return statements of a function body, not of nested functions
+function findReturns(body) {
+  const returns = [];
+  visit(body, (node) => {
+    if (isFunction(node)) return false;
+    if (node.type === "ReturnStatement") returns.push(node);
+    return true;
+  });
+  return returns;
+}
+
+function checkReturnShape(argument) {
+  if (!argument) return "returns nothing";
+
+  switch (argument.type) {
+    case "ObjectExpression": {
+      // A spread may provide the error field
+      const hasError = argument.properties.some(
+        (property) =>
+          property.type === "SpreadElement" ||
+          (!property.computed && getKeyName(property.key) === "error")
+      );
+      return hasError ? null : "returns an object without an 'error' field";
+    }
+    case "ConditionalExpression":
+      return (
+        checkReturnShape(argument.consequent) ||
+        checkReturnShape(argument.alternate)
+      );
+    case "Literal":
+    case "TemplateLiteral":
+      return `returns ${
+        argument.type === "Literal"
+          ? JSON.stringify(argument.value)
+          : "a string"
+      }`;
+    case "ArrayExpression":
+      return "returns an array";
+    default:
+      // Calls, variables and other expressions are not checked
+      return null;
+  }
+}
+
+/**
+ * Identifiers read or written without a declaration in any enclosing scope
+ * @param {Object} ast - Program node
+ * @returns {Array<Object>} - Identifier nodes
+ */
+function findUndeclaredReferences(ast) {
+  const undeclared = [];
+
+  const walk = (node, scope) => {
+    if (!node || typeof node.type !== "string") return;
+
+    if (isFunction(node)) {
+      const names = new Set(collectDeclarations(node.body));
+      node.params.forEach((param) =>
+        getPatternNames(param).forEach((name) => names.add(name))
+      );
+      // A function expression can refer to itself by name
+      if (node.type === "FunctionExpression" && node.id) {
+        names.add(node.id.name);
+      }
+
+      const inner = { names, parent: scope };
+      node.params.forEach((param) => walkPattern(param, inner));
+      walk(node.body, inner);
+      return;
+    }
+
+    switch (node.type) {
+      case "Identifier":
+        if (!isDeclared(node.name, scope)) undeclared.push(node);
+        return;
+      case "VariableDeclarator":
+        walkPattern(node.id, scope);
+        walk(node.init, scope);
+        return;
+      case "MemberExpression":
+        walk(node.object, scope);
+        if (node.computed) walk(node.property, scope);
+        return;
+      case "Property":
+      case "PropertyDefinition":
+      case "MethodDefinition":
+        if (node.computed) walk(node.key, scope);
+        walk(node.value, scope);
+        return;
+      case "CatchClause": {
+        const names = new Set(node.param ? getPatternNames(node.param) : []);
+        walk(node.body, { names, parent: scope });
+        return;
+      }
+      case "ClassDeclaration":
+      case "ClassExpression":
+        walk(node.superClass, scope);
+        walk(node.body, scope);
+        return;
+      case "UnaryExpression":
+        // typeof is the safe way to test for an optional global
+        if (node.operator === "typeof" && node.argument.type === "Identifier") {
+          return;
+        }
+        walk(node.argument, scope);
+        return;
+      case "LabeledStatement":
+        walk(node.body, scope);
+        return;
+      case "BreakStatement":
+      case "ContinueStatement":
+      case "MetaProperty":
+        return;
+      default:
+        forEachChild(node, (child) => walk(child, scope));
+    }
+  };
+
+  // Patterns bind names, only default values and computed keys are read
+  const walkPattern = (pattern, scope) => {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case "AssignmentPattern":
+        walkPattern(pattern.left, scope);
+        walk(pattern.right, scope);
+        return;
+      case "ObjectPattern":
+        pattern.properties.forEach((property) => {
+          if (property.type === "RestElement") {
+            walkPattern(property.argument, scope);
+            return;
+          }
+          if (property.computed) walk(property.key, scope);
+          walkPattern(property.value, scope);
+        });
+        return;
+      case "ArrayPattern":
+        pattern.elements.forEach((element) => walkPattern(element, scope));
+        return;
+      case "RestElement":
+        walkPattern(pattern.argument, scope);
+        return;
+      case "Identifier":
+        return;
+      default:
+        // Assignment targets such as obj.key = value
+        walk(pattern, scope);
+    }
+  };
+
+  walk(ast, { names: new Set(collectDeclarations(ast)), parent: null });
+  return undeclared;
+}
+
+// Names declared in a function body or program, including nested blocks
+// but not nested functions
+function collectDeclarations(body) {
+  const names = [];
+
+  visit(body, (node) => {
+    if (node === body) return true;
+
+    if (
+      node.type === "FunctionDeclaration" ||
+      node.type === "ClassDeclaration"
+    ) {
+      if (node.id) names.push(node.id.name);
+      return false;
+    }
+    if (isFunction(node) || node.type === "ClassExpression") return false;
+    if (node.type === "VariableDeclarator") {
+      names.push(...getPatternNames(node.id));
+    }
+    return true;
+  });
+
+  return names;
+}
+
+function isDeclared(name, scope) {
+  for (let current = scope; current; current = current.parent) {
+    if (current.names.has(name)) return true;
+  }
+  return false;
+}
+
+function isFunction(node) {
+  return (
+    node.type === "FunctionDeclaration" ||
+    node.type === "FunctionExpression" ||
+    node.type === "ArrowFunctionExpression"
+  );
+}
+
+// Depth-first walk, children are skipped when the callback returns false
+function visit(node, callback) {
+  if (!node || typeof node.type !== "string") return;
+  if (callback(node) === false) return;
+  forEachChild(node, (child) => visit(child, callback));
+}
+
+function forEachChild(node, callback) {
+  Object.keys(node).forEach((key) => {
+    if (key === "loc") return;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach((item) => {
+        if (item && typeof item.type === "string") callback(item);
+      });
+    } else if (value && typeof value.type === "string") {
+      callback(value);
+    }
+  });
+}
+
+function getKeyName(key) {
+  if (key.type === "Identifier") return key.name;
+  if (key.type === "Literal") return String(key.value);
+  return null;
+}
+
+// acorn columns are 0-based
+function toLocation(position) {
+  return { line: position.line, column: position.column + 1 };
+}
+
+// Line and column of the first occurrence of text, 1:1 if missing
+function locate(source, text) {
+  const index = source ? source.indexOf(text) : -1;
+  if (index === -1) return { line: 1, column: 1 };
+
+  const before = source.slice(0, index).split("\n");
+  return {
+    line: before.length,
+    column: before[before.length - 1].length + 1,
+  };
+}
+
+module.exports = {
+  SCENARIO_GLOBALS,
+  FORBIDDEN_GLOBALS,
+  lintScenario,
+};
@@ -0,0 +1,121 @@
+/**
+ * Build the `methods` array of a scenario config from its top-level async
+ * functions. Descriptions already written in the config are kept, JSDoc
+ * fills in the ones that are missing.
+ * @param {Array<Object>} functions - Functions from getScenarioFunctions
+ * @param {Array} [existing] - Current `methods` of the config
+ * @returns {Array<Object>} - Method entries in source order
+ */
+function buildMethodEntries(functions, existing = []) {
+  const previous = new Map();
+  (Array.isArray(existing) ? existing : []).forEach((entry) => {
+    if (typeof entry === "string") previous.set(entry, { method: entry });
+    else if (entry && typeof entry.method === "string") {
+      previous.set(entry.method, entry);
+    }
+  });
+
+  return functions
+    .filter((fn) => fn.async)
+    .map((fn) => {
+      const old = previous.get(fn.name) || {};
+      const entry = { ...old, method: fn.name };
+
+      const description = old.description || firstParagraph(fn.doc.description);
+      if (description) entry.description = description;
+      else delete entry.description;
+
+      entry.params = buildParams(fn, old.params);
+
+      const returns = buildReturns(fn.doc.returns, old.returns);
+      if (returns) entry.returns = returns;
+      else delete entry.returns;
+
+      return entry;
+    });
+}
+
+/**
+ * Compare two `methods` arrays by method name
+ * @param {Array} before - Current `methods` of the config
+ * @param {Array<Object>} after - Entries from buildMethodEntries
+ * @returns {Object} - {added, removed, changed, reordered, stale}
+ */
+function diffMethodEntries(before, after) {
+  const oldEntries = (Array.isArray(before) ? before : []).map((entry) =>
+    typeof entry === "string" ? { method: entry } : entry || {}
+  );
+  const oldNames = oldEntries.map((entry) => entry.method);
+  const newNames = after.map((entry) => entry.method);
+
+  const added = newNames.filter((name) => !oldNames.includes(name));
+  const removed = oldNames.filter((name) => !newNames.includes(name));
+  const changed = after
+    .filter((entry) => oldNames.includes(entry.method))
+    .filter(
+      (entry) =>
+        JSON.stringify(
+          oldEntries.find((old) => old.method === entry.method)
+        ) !== JSON.stringify(entry)
+    )
+    .map((entry) => entry.method);
+  const common = oldNames.filter((name) => newNames.includes(name));
+  const reordered =
+    common.join(",") !==
+    newNames.filter((name) => common.includes(name)).join(",");
+
+  return {
+    added,
+    removed,
+    changed,
+    reordered,
+    // Also catches string entries and duplicates
+    stale: JSON.stringify(before) !== JSON.stringify(after),
+  };
+}
+
+function buildParams(fn, existing) {
+  const oldParams = Array.isArray(existing) ? existing : [];
+
+  return fn.params.map((sourceName, index) => {
+    const doc =
+      fn.doc.params.find((param) => param.name === sourceName) ||
+      fn.doc.params[index] ||
+      {};
+    // Destructured parameters have no name in the source
+    const name = sourceName || doc.name || `param${index + 1}`;
+    const old = oldParams.find((param) => param && param.name === name) || {};
+
+    const param = { name };
+    if (doc.type) param.type = doc.type;
+    const description = old.description || doc.description;
+    if (description) param.description = description;
+    if (doc.optional) param.optional = true;
+    if (doc.default !== undefined) param.default = doc.default;
+    return param;
+  });
+}
+
+function buildReturns(doc, existing) {
+  const old = existing && typeof existing === "object" ? existing : {};
+  if (!doc && !old.description) return null;
+
+  const returns = {};
+  if (doc && doc.type) returns.type = doc.type;
+  const description = old.description || (doc && doc.description);
+  if (description) returns.description = description;
+  return Object.keys(returns).length > 0 ? returns : null;
+}
+
+// JSDoc descriptions may span several paragraphs, the config keeps one line
+function firstParagraph(text) {
+  return (text || "")
+    .split(/\n\s*\n/)[0]
+    .replace(/\s*\n\s*/g, " ")
+    .trim();
+}
+
+module.exports = {
+  buildMethodEntries,
+  diffMethodEntries,
+};
@@ -0,0 +1,238 @@
+const { format } = require("./assertions");
+
+/**
+ * Build a machine-readable report from test results
+ * @param {Array<Object>} results - Results collected by the test runner
+ * @param {Object} meta - Run metadata ({version, startedAt, duration, coverage})
+ * @returns {Object} - Report with summary and one entry per test
+ */
+function buildReport(results, meta) {
+  const tests = results.map(({ test, ...result }) => ({
+    scenario: test.scenario,
+    file: test.file || null,
+    method: test.method || null,
+    params: test.params || [],
+    description: test.description || "",
+    network: result.network || null,
+    networkUrl: result.networkUrl || null,
+    address: result.address || null,
+    role: result.role || null,
+    status: getStatus(result),
+    flaky: Boolean(result.flaky),
+    attempts: result.attempts || 1,
+    duration: result.duration || 0,
+    errorCode: result.error === undefined ? null : result.error,
+    returnedData:
+      result.returnedData === undefined ? null : result.returnedData,
+    failures: result.failures || [],
+    message: result.message || null,
+  }));
+
+  const count = (status) =>
+    tests.filter((test) => test.status === status).length;
+
+  return {
+    tool: "psce",
+    version: meta.version,
+    startedAt: meta.startedAt,
+    duration: meta.duration,
+    summary: {
+      total: tests.length,
+      passed: count("passed"),
+      failed: count("failed"),
+      timedOut: count("timedOut"),
+      flaky: tests.filter((test) => test.flaky).length,
+    },
+    ...(meta.coverage && { coverage: meta.coverage }),
+    tests,
+  };
+}
+
+/**
+ * Format a report as JSON
+ * @param {Object} report - Report created by buildReport
+ * @returns {string} - JSON document
+ */
+function formatJson(report) {
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+/**
+ * Format a report as JUnit XML, one test suite per scenario
+ * @param {Object} report - Report created by buildReport
+ * @returns {string} - JUnit XML document
+ */
+function formatJunit(report) {
+  const suites = new Map();
+  report.tests.forEach((test) => {
+    if (!suites.has(test.scenario)) suites.set(test.scenario, []);
+    suites.get(test.scenario).push(test);
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="psce" tests="${report.summary.total}" failures="${
+      report.summary.failed
+    }" errors="${report.summary.timedOut}" time="${seconds(
+      report.duration
+    )}" timestamp="${report.startedAt}">`,
+  ];
+
+  suites.forEach((tests, scenario) => {
+    const failures = tests.filter((test) => test.status === "failed").length;
+    const errors = tests.filter((test) => test.status === "timedOut").length;
+    const time = tests.reduce((sum, test) => sum + test.duration, 0);
+
+    lines.push(
+      `  <testsuite name="${xml(scenario)}" tests="${
+        tests.length
+      }" failures="${failures}" errors="${errors}" time="${seconds(time)}">`
+    );
+
+    tests.forEach((test) => {
+      lines.push(
+        `    <testcase classname="${xml(scenario)}" name="${xml(
+          getTitle(test)
+        )}" time="${seconds(test.duration)}">`
+      );
+      lines.push("      <properties>");
+      getProperties(test).forEach(([name, value]) => {
+        lines.push(
+          `        <property name="${name}" value="${xml(
+            typeof value === "string" ? value : format(value)
+          )}"/>`
+        );
+      });
+      lines.push("      </properties>");
+
+      // Timeouts are errors, not assertion failures
+      if (test.status === "timedOut") {
+        lines.push(
+          `      <error message="${xml(test.message)}" type="TimeoutError"/>`
+        );
+      } else if (test.status === "failed") {
+        const message = getFailureMessage(test);
+        lines.push(
+          `      <failure message="${xml(message)}" type="AssertionError">${xml(
+            getFailureDetails(test)
+          )}</failure>`
+        );
+      }
+
+      lines.push(
+        `      <system-out>${xml(
+          JSON.stringify(test.returnedData, null, 2)
+        )}</system-out>`
+      );
+      lines.push("    </testcase>");
+    });
+
+    lines.push("  </testsuite>");
+  });
+
+  lines.push("</testsuites>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Format a report as TAP version 13 with YAML diagnostics
+ * @param {Object} report - Report created by buildReport
+ * @returns {string} - TAP document
+ */
+function formatTap(report) {
+  const lines = ["TAP version 13", `1..${report.tests.length}`];
+
+  report.tests.forEach((test, index) => {
+    const status = test.status === "passed" ? "ok" : "not ok";
+    lines.push(`${status} ${index + 1} - ${test.scenario} ${getTitle(test)}`);
+    lines.push("  ---");
+    getProperties(test).forEach(([name, value]) => {
+      lines.push(`  ${name}: ${format(value)}`);
+    });
+    lines.push(`  duration_ms: ${test.duration}`);
+    if (test.status === "timedOut") lines.push("  timedOut: true");
+    lines.push(`  returnedData: ${format(test.returnedData)}`);
+    if (test.status !== "passed") {
+      lines.push(`  message: ${format(getFailureMessage(test))}`);
+      if (test.failures.length > 0) {
+        lines.push(`  failures: ${format(test.failures)}`);
+      }
+    }
+    lines.push("  ...");
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+const REPORTERS = {
+  json: formatJson,
+  junit: formatJunit,
+  tap: formatTap,
+};
+
+function getStatus(result) {
+  if (result.passed) return "passed";
+  return result.timedOut ? "timedOut" : "failed";
+}
+
+function getTitle(test) {
+  if (!test.method) return test.file || "unknown";
+  return `${test.method}${test.description ? ` - ${test.description}` : ""}`;
+}
+
+function getProperties(test) {
+  return [
+    ["scenario", test.scenario],
+    ["method", test.method],
+    ["params", test.params],
+    ["network", test.network],
+    ["address", test.address],
+    ["role", test.role],
+    ["errorCode", test.errorCode],
+    ["attempts", test.attempts],
+    ["flaky", test.flaky],
+  ];
+}
+
+function getFailureMessage(test) {
+  if (test.message) return test.message;
+  if (test.failures.length > 0) return test.failures[0].message;
+  return `error code ${test.errorCode}`;
+}
+
+function getFailureDetails(test) {
+  return test.failures
+    .map((failure) =>
+      [
+        failure.message,
+        ...failure.diff.map(
+          (entry) =>
+            `  at ${entry.path}: expected ${format(
+              entry.expected
+            )}, actual ${format(entry.actual)}`
+        ),
+      ].join("\n")
+    )
+    .join("\n");
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function xml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+module.exports = {
+  REPORTERS,
+  buildReport,
+  formatJson,
+  formatJunit,
+  formatTap,
+};
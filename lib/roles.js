@@ -0,0 +1,65 @@
+const { createNewAddress } = require("./wallet/createNewAddress");
+
+/**
+ * Roles available to the tests of a scenario. Roles of a test override the
+ * ones declared in .scenario-config.json.
+ *
+ * A role is either the name (or value) of a saved address, `{ "address": "<name>" }`,
+ * or `"ephemeral"` / `{ "ephemeral": true }` for a throwaway keypair.
+ * @param {Object} config - Scenario config
+ * @param {Object} [testRoles] - Roles of a single test
+ * @returns {Object} - Parsed roles keyed by name
+ * @throws {Error} - When a role is not valid
+ */
+function getRoles(config, testRoles) {
+  const roles = {};
+
+  [config.roles, testRoles].forEach((source) => {
+    if (source === undefined) return;
+    if (!source || typeof source !== "object" || Array.isArray(source)) {
+      throw new Error('"roles" must map role names to addresses');
+    }
+
+    Object.entries(source).forEach(([name, value]) => {
+      roles[name] = parseRole(name, value);
+    });
+  });
+
+  return roles;
+}
+
+/**
+ * Create a throwaway keypair for a role that needs no stored wallet
+ * @param {string} role - Role name
+ * @param {string} prefix - Address prefix of the network
+ * @returns {Object} - {name, address, privateKey, ephemeral}
+ */
+function createEphemeralAddress(role, prefix) {
+  const { data } = createNewAddress(prefix);
+  return {
+    name: role,
+    address: data.pub,
+    privateKey: data.pri,
+    ephemeral: true,
+  };
+}
+
+function parseRole(name, value) {
+  if (value === "ephemeral" || (value && value.ephemeral === true)) {
+    return { ephemeral: true };
+  }
+
+  const address = typeof value === "string" ? value : value && value.address;
+  if (typeof address !== "string" || !address) {
+    throw new Error(
+      `Role '${name}' must be an address name, { "address": "<name>" } or "ephemeral"`
+    );
+  }
+
+  return { address };
+}
+
+module.exports = {
+  getRoles,
+  createEphemeralAddress,
+};
@@ -0,0 +1,182 @@
+const { getScenarioFunctions } = require("./scenario-parser");
+const { buildMethodEntries } = require("./method-sync");
+
+// First line of generated files, tells readers not to edit them by hand
+const GENERATED_NOTICE =
+  "<!-- Generated by psce scenario docs from the .psce JSDoc and .scenario-config.json. Do not edit by hand. -->";
+
+/**
+ * Render the README of a scenario
+ * @param {Object} scenario - Scenario from loadScenario
+ * @param {Array<Object>} [tests] - Tests from the scenario's test files, used
+ *   for example invocations
+ * @returns {string} - Markdown
+ * @throws {SyntaxError} - When the .psce file does not parse
+ */
+function renderScenarioReadme(scenario, tests = []) {
+  const { name, config } = scenario;
+  const methods = buildMethodEntries(
+    getScenarioFunctions(scenario.content),
+    config.methods
+  );
+  const lines = [GENERATED_NOTICE, "", `# ${name}`, ""];
+
+  if (config.description) lines.push(config.description, "");
+
+  const meta = [
+    config.version && `**Version:** ${config.version}`,
+    config.author && `**Author:** ${config.author}`,
+  ].filter(Boolean);
+  if (meta.length > 0) lines.push(meta.join(" · "), "");
+
+  pushList(lines, "Tags", config.tags);
+  pushList(lines, "Networks", config.networks);
+  pushList(lines, "Dependencies", config.dependencies);
+
+  if (config.roles && typeof config.roles === "object") {
+    lines.push("## Roles", "");
+    Object.entries(config.roles).forEach(([role, value]) => {
+      lines.push(`- **${role}**: ${describeRole(value)}`);
+    });
+    lines.push("");
+  }
+
+  lines.push("## Usage", "", "```bash", `psce test ${name}`, "```", "");
+
+  lines.push("## Methods", "");
+  if (methods.length === 0) lines.push("No methods defined.", "");
+  methods.forEach((entry) => {
+    lines.push(`### \`${formatEntrySignature(entry)}\``, "");
+    if (entry.description) lines.push(entry.description, "");
+
+    if (entry.params.length > 0) {
+      lines.push(
+        "| Parameter | Type | Description |",
+        "| --------- | ---- | ----------- |"
+      );
+      entry.params.forEach((param) => {
+        const notes = [
+          param.optional && "optional",
+          param.default !== undefined && `default: \`${param.default}\``,
+        ].filter(Boolean);
+        const description = [
+          param.description,
+          notes.length > 0 && `(${notes.join(", ")})`,
+        ]
+          .filter(Boolean)
+          .join(" ");
+        lines.push(
+          `| \`${param.name}\` | ${
+            param.type ? `\`${escapeCell(param.type)}\`` : "-"
+          } | ${escapeCell(description) || "-"} |`
+        );
+      });
+      lines.push("");
+    }
+
+    if (entry.returns) {
+      lines.push(
+        `**Returns:** ${[
+          entry.returns.type && `\`${entry.returns.type}\``,
+          entry.returns.description,
+        ]
+          .filter(Boolean)
+          .join(" - ")}`,
+        ""
+      );
+    }
+
+    lines.push("```bash", getExampleCommand(name, entry, tests), "```", "");
+  });
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+/**
+ * Render the index page of a workspace documentation site
+ * @param {Array<Object>} scenarios - Scenarios from loadScenario
+ * @returns {string} - Markdown linking to <name>.md of every scenario
+ */
+function renderDocsIndex(scenarios) {
+  const lines = [
+    GENERATED_NOTICE,
+    "",
+    "# Scenarios",
+    "",
+    "| Scenario | Version | Description | Tags |",
+    "| -------- | ------- | ----------- | ---- |",
+  ];
+
+  scenarios.forEach(({ name, config }) => {
+    const tags = Array.isArray(config.tags) ? config.tags.join(", ") : "";
+    lines.push(
+      `| [${name}](${name}.md) | ${config.version || "-"} | ${
+        escapeCell(config.description || "") || "-"
+      } | ${escapeCell(tags) || "-"} |`
+    );
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+// psce test invocation of a method, taken from its first passing test
+function getExampleCommand(scenarioName, entry, tests) {
+  const test =
+    tests.find(
+      (candidate) =>
+        candidate.method === entry.method &&
+        !(candidate.expect && candidate.expect.error)
+    ) || tests.find((candidate) => candidate.method === entry.method);
+
+  const args = [`psce test ${scenarioName}`, `-m ${entry.method}`];
+  if (test) {
+    if (test.params.length > 0) {
+      args.push(`--params-json ${quoteShell(JSON.stringify(test.params))}`);
+    }
+    if (test.as) args.push(`--as ${test.as}`);
+  } else if (entry.params.length > 0) {
+    args.push(
+      `-p "${entry.params.map((param) => `<${param.name}>`).join(",")}"`
+    );
+  }
+
+  return args.join(" ");
+}
+
+// transfer(to: string, [memo]: string): Object
+function formatEntrySignature(entry) {
+  const params = entry.params.map((param) => {
+    const label = param.optional ? `[${param.name}]` : param.name;
+    return param.type ? `${label}: ${param.type}` : label;
+  });
+  const returns =
+    entry.returns && entry.returns.type ? `: ${entry.returns.type}` : "";
+  return `${entry.method}(${params.join(", ")})${returns}`;
+}
+
+function describeRole(value) {
+  if (value === "ephemeral" || (value && value.ephemeral)) {
+    return "fresh address generated for each test run";
+  }
+  const address = typeof value === "string" ? value : value && value.address;
+  return address ? `saved address \`${address}\`` : "-";
+}
+
+function pushList(lines, title, items) {
+  if (!Array.isArray(items) || items.length === 0) return;
+  lines.push(`## ${title}`, "", ...items.map((item) => `- ${item}`), "");
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function quoteShell(text) {
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+module.exports = {
+  GENERATED_NOTICE,
+  renderScenarioReadme,
+  renderDocsIndex,
+};
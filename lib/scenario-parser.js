@@ -0,0 +1,344 @@
+const acorn = require("acorn");
+
+const PARSE_OPTIONS = {
+  ecmaVersion: "latest",
+  sourceType: "script",
+  locations: true,
+  allowAwaitOutsideFunction: true,
+  allowReturnOutsideFunction: true,
+};
+
+/**
+ * Parse PSCE scenario source into an AST and its top-level functions
+ * @param {string} source - Content of a .psce file
+ * @returns {Object} - {ast, comments, functions}
+ * @throws {SyntaxError} - With line and column when the source is invalid
+ */
+function parseScenario(source) {
+  const comments = [];
+  const ast = acorn.parse(source, { ...PARSE_OPTIONS, onComment: comments });
+
+  const functions = ast.body
+    .filter((node) => node.type === "FunctionDeclaration" && node.id)
+    .map((node) => {
+      const comment = findLeadingDocComment(source, comments, node);
+      return {
+        name: node.id.name,
+        async: node.async,
+        params: node.params.map(getParamName),
+        line: node.loc.start.line,
+        column: node.loc.start.column + 1,
+        doc: comment ? parseJsDoc(comment.value) : emptyDoc(),
+        node,
+      };
+    });
+
+  return { ast, comments, functions };
+}
+
+/**
+ * Names declared at the top level of a parsed scenario
+ * @param {Object} ast - Program from parseScenario
+ * @returns {Array<Object>} - Declarations ({name, kind}) in source order,
+ *   kind is "function", "class", "var", "let" or "const"
+ */
+function getTopLevelNames(ast) {
+  return ast.body.flatMap((node) => {
+    if (node.type === "FunctionDeclaration" && node.id) {
+      return [{ name: node.id.name, kind: "function" }];
+    }
+    if (node.type === "ClassDeclaration" && node.id) {
+      return [{ name: node.id.name, kind: "class" }];
+    }
+    if (node.type === "VariableDeclaration") {
+      return node.declarations.flatMap((declarator) =>
+        getPatternNames(declarator.id).map((name) => ({
+          name,
+          kind: node.kind,
+        }))
+      );
+    }
+    return [];
+  });
+}
+
+/**
+ * Names bound by a declaration pattern, including destructuring
+ * @param {Object} pattern - Identifier or destructuring pattern node
+ * @returns {string[]} - Bound names
+ */
+function getPatternNames(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case "Identifier":
+      return [pattern.name];
+    case "AssignmentPattern":
+      return getPatternNames(pattern.left);
+    case "RestElement":
+      return getPatternNames(pattern.argument);
+    case "ArrayPattern":
+      return pattern.elements.flatMap(getPatternNames);
+    case "ObjectPattern":
+      return pattern.properties.flatMap((property) =>
+        getPatternNames(
+          property.type === "RestElement" ? property.argument : property.value
+        )
+      );
+    default:
+      return [];
+  }
+}
+
+/**
+ * Get the top-level function signatures of a scenario
+ * @param {string} source - Content of a .psce file
+ * @returns {Array<Object>} - Functions with name, params and JSDoc
+ */
+function getScenarioFunctions(source) {
+  return parseScenario(source).functions.map(({ node, ...fn }) => fn);
+}
+
+/**
+ * Parse the body of a JSDoc block comment
+ * @param {string} text - Comment body without the surrounding slash-stars
+ * @returns {Object} - {description, params, returns}
+ */
+function parseJsDoc(text) {
+  const lines = text
+    .split("\n")
+    .map((line) => line.replace(/^\s*\*?\s?/, "").trimEnd());
+
+  const doc = emptyDoc();
+  const description = [];
+  let current = null;
+
+  lines.forEach((line) => {
+    const tag = line.match(/^@(\w+)\s*(.*)$/);
+    if (!tag) {
+      if (current) {
+        if (line.trim()) {
+          current.description = `${current.description} ${line.trim()}`.trim();
+        }
+      } else {
+        description.push(line);
+      }
+      return;
+    }
+
+    const [, name, rest] = tag;
+    current = null;
+
+    if (name === "param" || name === "arg" || name === "argument") {
+      current = parseParamTag(rest);
+      if (current) doc.params.push(current);
+    } else if (name === "returns" || name === "return") {
+      const { type, text: returnText } = splitType(rest);
+      current = { type, description: returnText.trim() };
+      doc.returns = current;
+    }
+  });
+
+  doc.description = description.join("\n").trim();
+  return doc;
+}
+
+/**
+ * Parse "{type} name description" of a @param tag
+ * @param {string} text - Tag content after @param
+ * @returns {Object|null} - {name, type, description, optional}
+ */
+function parseParamTag(text) {
+  const { type, text: rest } = splitType(text);
+  const match = rest.trim().match(/^(\[[^\]]+\]|\S+)\s*(?:-\s*)?([\s\S]*)$/);
+  if (!match) return null;
+
+  let name = match[1];
+  let optional = false;
+  let defaultValue;
+
+  if (name.startsWith("[") && name.endsWith("]")) {
+    optional = true;
+    name = name.slice(1, -1);
+    const equals = name.indexOf("=");
+    if (equals !== -1) {
+      defaultValue = name.slice(equals + 1);
+      name = name.slice(0, equals);
+    }
+  }
+
+  return {
+    name,
+    type,
+    description: match[2].trim(),
+    optional,
+    ...(defaultValue !== undefined && { default: defaultValue }),
+  };
+}
+
+/**
+ * Coerce string parameters to the JSDoc types of a method
+ * @param {string[]} values - Parameter values from the command line
+ * @param {Object} fn - Function info from getScenarioFunctions
+ * @returns {Array} - Typed parameter values
+ * @throws {Error} - When a value cannot be converted to its declared type
+ */
+function coerceParams(values, fn) {
+  return values.map((value, index) => {
+    const name = fn.params[index];
+    const docParam =
+      fn.doc.params.find((param) => param.name === name) ||
+      fn.doc.params[index];
+    const type = docParam && docParam.type;
+    if (!type) return value;
+
+    try {
+      return coerceValue(value, type);
+    } catch (error) {
+      throw new Error(
+        `Parameter '${docParam.name}' expects ${type}: ${error.message}`
+      );
+    }
+  });
+}
+
+/**
+ * Convert a string to a JSDoc type
+ * @param {string} value - Raw value
+ * @param {string} type - JSDoc type expression, e.g. number, Object, string[]
+ * @returns {any} - Converted value
+ */
+function coerceValue(value, type) {
+  const types = type
+    .replace(/^\((.*)\)$/, "$1")
+    .split("|")
+    .map((t) => t.trim().toLowerCase());
+
+  // A string alternative keeps the value as is
+  if (
+    types.includes("string") ||
+    types.includes("*") ||
+    types.includes("any")
+  ) {
+    return value;
+  }
+
+  const errors = [];
+  for (const t of types) {
+    try {
+      return convert(value, t);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  throw new Error(errors.join(", "));
+}
+
+function convert(value, type) {
+  if (type === "number" || type === "integer" || type === "float") {
+    const number = Number(value);
+    if (value.trim() === "" || Number.isNaN(number)) {
+      throw new Error(`'${value}' is not a number`);
+    }
+    if (type === "integer" && !Number.isInteger(number)) {
+      throw new Error(`'${value}' is not an integer`);
+    }
+    return number;
+  }
+
+  if (type === "boolean") {
+    if (value === "true" || value === "1") return true;
+    if (value === "false" || value === "0") return false;
+    throw new Error(`'${value}' is not a boolean`);
+  }
+
+  if (type === "null") {
+    if (value === "null") return null;
+    throw new Error(`'${value}' is not null`);
+  }
+
+  if (
+    type === "object" ||
+    type === "array" ||
+    type.endsWith("[]") ||
+    type.startsWith("array<") ||
+    type.startsWith("object<") ||
+    type.startsWith("{")
+  ) {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`'${value}' is not valid JSON`);
+    }
+    const isArray = Array.isArray(parsed);
+    const wantsArray =
+      type === "array" || type.endsWith("[]") || type.startsWith("array<");
+    if (
+      wantsArray !== isArray ||
+      parsed === null ||
+      typeof parsed !== "object"
+    ) {
+      throw new Error(
+        `'${value}' is not ${wantsArray ? "an array" : "an object"}`
+      );
+    }
+    return parsed;
+  }
+
+  // Unknown types are passed through unchanged
+  return value;
+}
+
+function splitType(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith("{")) return { type: null, text: trimmed };
+
+  // Find the matching closing brace, types may contain nested braces
+  let depth = 0;
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === "{") depth++;
+    if (trimmed[i] === "}") depth--;
+    if (depth === 0) {
+      return {
+        type: trimmed.slice(1, i).trim(),
+        text: trimmed.slice(i + 1),
+      };
+    }
+  }
+  return { type: null, text: trimmed };
+}
+
+function findLeadingDocComment(source, comments, node) {
+  const candidates = comments.filter(
+    (comment) =>
+      comment.type === "Block" &&
+      comment.value.startsWith("*") &&
+      comment.end <= node.start
+  );
+  const comment = candidates[candidates.length - 1];
+  if (!comment) return null;
+
+  // Only whitespace may separate the comment from the function
+  return source.slice(comment.end, node.start).trim() === "" ? comment : null;
+}
+
+function getParamName(param) {
+  if (param.type === "Identifier") return param.name;
+  if (param.type === "AssignmentPattern") return getParamName(param.left);
+  if (param.type === "RestElement") return `...${getParamName(param.argument)}`;
+  return null;
+}
+
+function emptyDoc() {
+  return { description: "", params: [], returns: null };
+}
+
+module.exports = {
+  parseScenario,
+  getTopLevelNames,
+  getPatternNames,
+  getScenarioFunctions,
+  parseJsDoc,
+  coerceParams,
+  coerceValue,
+};
@@ -0,0 +1,147 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// Templates shipped with the CLI
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, "templates");
+const TEMPLATE_FILE = "template.json";
+const TEMPLATE_SOURCE = "scenario.psce";
+// Replaced by the scenario name in file contents and file names
+const NAME_PLACEHOLDER = /\{\{name\}\}/g;
+const FILE_NAME_PLACEHOLDER = /__name__/g;
+
+/**
+ * Template directories of a workspace, from `templateDirs` in psce.json
+ * @param {string} workspaceDir - Workspace directory
+ * @param {Object} psceConfig - Content of psce.json
+ * @returns {string[]} - Absolute directories, later ones take precedence
+ */
+function getTemplateDirs(workspaceDir, psceConfig) {
+  const dirs = psceConfig.templateDirs || [];
+  return (Array.isArray(dirs) ? dirs : [dirs]).map((dir) =>
+    path.resolve(workspaceDir, dir)
+  );
+}
+
+/**
+ * List built-in and workspace templates. A workspace template replaces a
+ * built-in one with the same name.
+ * @param {string[]} templateDirs - Directories from getTemplateDirs
+ * @returns {Promise<Array<Object>>} - Templates sorted by name
+ */
+async function listTemplates(templateDirs = []) {
+  const templates = new Map();
+
+  for (const dir of [BUILTIN_TEMPLATES_DIR, ...templateDirs]) {
+    if (!(await fs.pathExists(dir))) continue;
+
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const templateDir = path.join(dir, entry.name);
+      if (!(await fs.pathExists(path.join(templateDir, TEMPLATE_SOURCE)))) {
+        continue;
+      }
+
+      templates.set(entry.name, await readTemplate(entry.name, templateDir));
+    }
+  }
+
+  return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a template by name
+ * @param {string} name - Template name
+ * @param {string[]} templateDirs - Directories from getTemplateDirs
+ * @returns {Promise<Object|null>} - Template or null if not found
+ */
+async function findTemplate(name, templateDirs = []) {
+  const templates = await listTemplates(templateDirs);
+  return templates.find((template) => template.name === name) || null;
+}
+
+/**
+ * Write the .psce file and test files of a template into a scenario directory
+ * @param {Object} template - Template from findTemplate
+ * @param {string} scenarioPath - Scenario directory
+ * @param {string} scenarioName - Scenario name
+ * @param {string} [testDir] - Test directory of the scenario
+ * @returns {Promise<string[]>} - Written files relative to the scenario directory
+ */
+async function renderTemplate(
+  template,
+  scenarioPath,
+  scenarioName,
+  testDir = "tests"
+) {
+  const render = (text) => text.replace(NAME_PLACEHOLDER, scenarioName);
+  const written = [];
+
+  const source = await fs.readFile(
+    path.join(template.dir, TEMPLATE_SOURCE),
+    "utf8"
+  );
+  await fs.outputFile(
+    path.join(scenarioPath, `${scenarioName}.psce`),
+    render(source)
+  );
+  written.push(`${scenarioName}.psce`);
+
+  const templateTests = path.join(template.dir, "tests");
+  if (await fs.pathExists(templateTests)) {
+    for (const file of await listFiles(templateTests)) {
+      const target = path.join(
+        testDir,
+        file.replace(FILE_NAME_PLACEHOLDER, scenarioName)
+      );
+      const content = await fs.readFile(path.join(templateTests, file), "utf8");
+      await fs.outputFile(path.join(scenarioPath, target), render(content));
+      written.push(target);
+    }
+  }
+
+  return written;
+}
+
+async function readTemplate(name, dir) {
+  const metaFile = path.join(dir, TEMPLATE_FILE);
+  const meta = (await fs.pathExists(metaFile))
+    ? await fs.readJson(metaFile)
+    : {};
+
+  return {
+    name,
+    dir,
+    builtIn: path.dirname(dir) === BUILTIN_TEMPLATES_DIR,
+    description: meta.description || "",
+    tags: Array.isArray(meta.tags) ? meta.tags : [],
+    methods: Array.isArray(meta.methods) ? meta.methods : [],
+    roles: meta.roles || null,
+  };
+}
+
+async function listFiles(dir, prefix = "") {
+  const files = [];
+  const entries = await fs.readdir(path.join(dir, prefix), {
+    withFileTypes: true,
+  });
+
+  for (const entry of entries) {
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(dir, relative)));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+
+  return files.sort();
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES_DIR,
+  getTemplateDirs,
+  listTemplates,
+  findTemplate,
+  renderTemplate,
+};
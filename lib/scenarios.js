@@ -0,0 +1,187 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+/**
+ * List scenario names in a scenarios directory
+ * A scenario is a directory containing a <name>.psce file
+ * @param {string} scenariosPath - Absolute path of the scenarios directory
+ * @returns {Promise<string[]>} - Sorted scenario names
+ */
+async function listScenarios(scenariosPath) {
+  if (!(await fs.pathExists(scenariosPath))) return [];
+
+  const entries = await fs.readdir(scenariosPath, { withFileTypes: true });
+  const names = [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const scenarioFile = path.join(
+      scenariosPath,
+      entry.name,
+      `${entry.name}.psce`
+    );
+    if (await fs.pathExists(scenarioFile)) names.push(entry.name);
+  }
+
+  return names.sort();
+}
+
+/**
+ * Read .scenario-config.json of a scenario directory
+ * @param {string} scenarioDir - Scenario directory
+ * @returns {Promise<Object>} - Scenario config, empty object if missing
+ */
+async function readScenarioConfig(scenarioDir) {
+  const configFile = path.join(scenarioDir, ".scenario-config.json");
+  if (!(await fs.pathExists(configFile))) return {};
+  return await fs.readJson(configFile);
+}
+
+/**
+ * Load scenario paths, source and config
+ * @param {string} scenariosPath - Absolute path of the scenarios directory
+ * @param {string} name - Scenario name
+ * @returns {Promise<Object|null>} - Scenario info or null if not found
+ */
+async function loadScenario(scenariosPath, name) {
+  const dir = path.join(scenariosPath, name);
+  const file = path.join(dir, `${name}.psce`);
+
+  if (!(await fs.pathExists(file))) return null;
+
+  const content = await fs.readFile(file, "utf8");
+  const config = await readScenarioConfig(dir);
+
+  return { name, dir, file, content, config };
+}
+
+/**
+ * Check whether a scenario config has any of the given tags
+ * @param {Object} config - Scenario config
+ * @param {string[]} tags - Tags to look for
+ * @returns {boolean} - True if at least one tag matches
+ */
+function hasAnyTag(config, tags) {
+  const scenarioTags = Array.isArray(config.tags) ? config.tags : [];
+  return tags.some((tag) => scenarioTags.includes(tag));
+}
+
+/**
+ * Method names listed in the `methods` array of a scenario config
+ * @param {Object} config - Scenario config
+ * @returns {string[]} - Declared method names
+ */
+function getDeclaredMethods(config) {
+  const methods = Array.isArray(config.methods) ? config.methods : [];
+  return [
+    ...new Set(
+      methods
+        .map((entry) =>
+          typeof entry === "string" ? entry : entry && entry.method
+        )
+        .filter((method) => typeof method === "string" && method)
+    ),
+  ];
+}
+
+/**
+ * Test directory of a scenario, `testDir` of its config or tests/
+ * @param {Object} scenario - Scenario from loadScenario
+ * @returns {string} - Absolute test directory
+ */
+function getTestDir(scenario) {
+  return path.join(scenario.dir, scenario.config.testDir || "tests");
+}
+
+/**
+ * Load the test objects exported by the *.test.js files of a scenario
+ * @param {Object} scenario - Scenario from loadScenario
+ * @returns {Promise<Array<Object>>} - Tests, or {file, loadError} entries for
+ *   files and tests that could not be loaded
+ */
+async function loadScenarioTests(scenario) {
+  const testDir = getTestDir(scenario);
+  if (!(await fs.pathExists(testDir))) return [];
+
+  const files = (await fs.readdir(testDir))
+    .filter((file) => file.endsWith(".test.js"))
+    .sort();
+
+  const tests = [];
+  for (const file of files) {
+    const filePath = path.join(testDir, file);
+    let exported;
+
+    try {
+      // Always load the latest version of the test file and its helpers
+      uncacheModule(require.resolve(filePath));
+      exported = require(filePath);
+    } catch (error) {
+      tests.push({
+        scenario: scenario.name,
+        file,
+        loadError: `Failed to load: ${error.message}`,
+      });
+      continue;
+    }
+
+    const entries = Array.isArray(exported) ? exported : [exported];
+    entries.forEach((entry, index) => {
+      if (!entry || typeof entry.method !== "string" || !entry.method) {
+        tests.push({
+          scenario: scenario.name,
+          file,
+          loadError: `Test #${index + 1} does not export a 'method'`,
+        });
+        return;
+      }
+      if (
+        entry.as !== undefined &&
+        (typeof entry.as !== "string" || !entry.as)
+      ) {
+        tests.push({
+          scenario: scenario.name,
+          file,
+          loadError: `Test #${index + 1} 'as' must be a role or address name`,
+        });
+        return;
+      }
+
+      tests.push({
+        file,
+        scenario: scenario.name,
+        method: entry.method,
+        params: Array.isArray(entry.params) ? entry.params : [],
+        description: entry.description || "",
+        expect: entry.expect,
+        as: entry.as,
+        roles: entry.roles,
+      });
+    });
+  }
+
+  return tests;
+}
+
+// Drop a module and the local modules it loaded from the require cache,
+// packages from node_modules are kept
+function uncacheModule(file, seen = new Set()) {
+  const cached = require.cache[file];
+  if (!cached || seen.has(file)) return;
+  seen.add(file);
+  delete require.cache[file];
+
+  cached.children
+    .filter((child) => !child.id.split(path.sep).includes("node_modules"))
+    .forEach((child) => uncacheModule(child.id, seen));
+}
+
+module.exports = {
+  listScenarios,
+  readScenarioConfig,
+  loadScenario,
+  hasAnyTag,
+  getDeclaredMethods,
+  getTestDir,
+  loadScenarioTests,
+};
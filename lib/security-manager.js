@@ -404,6 +404,15 @@ class PSCESecurityManager {
   }
 
   async getMasterPassword() {
+    // Non-interactive unlock, e.g. for CI
+    if (process.env.PSCE_MASTER_PASSWORD) {
+      return process.env.PSCE_MASTER_PASSWORD;
+    }
+    if (!process.stdin.isTTY) {
+      throw new Error(
+        "The master password prompt needs an interactive terminal, set PSCE_MASTER_PASSWORD to unlock without one"
+      );
+    }
     return await askSecureInput("Enter master password: ");
   }
 
@@ -510,9 +519,10 @@ class PSCESecurityManager {
   }
 
   logAction(action, target, success, error = null) {
-    // Simple logging for now
+    // Simple logging for now, on stderr so that JSON and reporter output on
+    // stdout stays parseable
     const timestamp = new Date().toISOString();
-    console.log(
+    console.error(
       `[${timestamp}] ${action} ${target} - ${success ? "SUCCESS" : "FAILED"}${
         error ? `: ${error}` : ""
       }`
@@ -0,0 +1,64 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { diffValues } = require("./assertions");
+
+/**
+ * Path of a scenario's snapshot file
+ * @param {string} testDir - Scenario test directory
+ * @param {string} scenarioName - Scenario name
+ * @returns {string} - tests/__snapshots__/<scenario>.snap.json
+ */
+function getSnapshotFile(testDir, scenarioName) {
+  return path.join(testDir, "__snapshots__", `${scenarioName}.snap.json`);
+}
+
+/**
+ * Read stored snapshots
+ * @param {string} snapshotFile - Snapshot file path
+ * @returns {Promise<Object>} - Snapshots keyed by test title
+ */
+async function readSnapshots(snapshotFile) {
+  if (!(await fs.pathExists(snapshotFile))) return {};
+  return await fs.readJson(snapshotFile);
+}
+
+/**
+ * Write snapshots sorted by key so the file diffs cleanly in review
+ * @param {string} snapshotFile - Snapshot file path
+ * @param {Object} snapshots - Snapshots keyed by test title
+ */
+async function writeSnapshots(snapshotFile, snapshots) {
+  const sorted = {};
+  Object.keys(snapshots)
+    .sort()
+    .forEach((key) => {
+      sorted[key] = snapshots[key];
+    });
+
+  await fs.outputJson(snapshotFile, sorted, { spaces: 2 });
+}
+
+/**
+ * Compare returned data with a stored snapshot
+ * @param {any} snapshot - Stored returnedData
+ * @param {any} returnedData - Returned data of the current run
+ * @returns {Object|null} - Failure ({message, diff}) or null when equal
+ */
+function compareSnapshot(snapshot, returnedData) {
+  const actual = returnedData === undefined ? null : returnedData;
+  const diff = diffValues(snapshot, actual, "$", false);
+  if (diff.length === 0) return null;
+
+  return {
+    message:
+      "returnedData does not match snapshot (run with --update-snapshots to accept)",
+    diff,
+  };
+}
+
+module.exports = {
+  getSnapshotFile,
+  readSnapshots,
+  writeSnapshots,
+  compareSnapshot,
+};
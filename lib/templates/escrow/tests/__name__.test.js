@@ -0,0 +1,48 @@
+// PSCE Test File
+// Run with: psce test {{name}}
+
+// Any address strings work in /previewScenario. Each test passes the escrow
+// it needs, the node keeps nothing between calls.
+const BUYER = "BUYER_ADDRESS";
+const SELLER = "SELLER_ADDRESS";
+
+const OPEN = { buyer: BUYER, seller: SELLER, amount: 500, status: "open" };
+
+module.exports = [
+  {
+    method: "init",
+    params: ["NOT_THE_OWNER"],
+    description: "other addresses are not the arbiter",
+    expect: { error: 1 },
+  },
+  {
+    method: "create",
+    params: [BUYER, SELLER, 500],
+    description: "buyer opens an escrow",
+    expect: { match: { escrow: { amount: 500, status: "open" } } },
+  },
+  {
+    method: "release",
+    params: ["STRANGER_ADDRESS", OPEN],
+    description: "strangers cannot release",
+    expect: { error: 1 },
+  },
+  {
+    method: "release",
+    params: [BUYER, OPEN],
+    description: "buyer releases the escrow",
+    expect: { paths: { "$.escrow.status": "released" } },
+  },
+  {
+    method: "refund",
+    params: [SELLER, { ...OPEN, status: "released" }],
+    description: "a settled escrow cannot be refunded",
+    expect: { error: 4 },
+  },
+  {
+    method: "getEscrow",
+    params: [{ ...OPEN, status: "refunded" }],
+    description: "a refunded escrow pays the buyer",
+    expect: { paths: { "$.payee": BUYER } },
+  },
+];
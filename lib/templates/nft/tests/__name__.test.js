@@ -0,0 +1,64 @@
+// PSCE Test File
+// Run with: psce test {{name}}
+
+// Any address strings work in /previewScenario. Each test passes the
+// collection it needs, the node keeps nothing between calls.
+const COLLECTOR = "COLLECTOR_ADDRESS";
+const RECEIVER = "RECEIVER_ADDRESS";
+
+const COLLECTION = {
+  name: "{{name}}",
+  symbol: "NFT",
+  maxSupply: 2,
+  tokens: { 1: { owner: COLLECTOR, uri: "ipfs://token-1" } },
+};
+
+module.exports = [
+  {
+    method: "init",
+    params: ["NOT_THE_OWNER", "{{name}}", "NFT", 100],
+    description: "other addresses cannot create the collection",
+    expect: { error: 1 },
+  },
+  {
+    method: "mint",
+    params: ["NOT_THE_OWNER", COLLECTION, COLLECTOR, "ipfs://forged"],
+    description: "other addresses cannot mint",
+    expect: { error: 1 },
+  },
+  {
+    method: "ownerOf",
+    params: [COLLECTION, 1],
+    description: "owner of a token",
+    expect: { paths: { "$.owner": COLLECTOR } },
+  },
+  {
+    method: "tokenURI",
+    params: [COLLECTION, 1],
+    description: "metadata URI of a token",
+    expect: { paths: { "$.uri": "ipfs://token-1" } },
+  },
+  {
+    method: "balanceOf",
+    params: [COLLECTION, COLLECTOR],
+    description: "tokens held by an address",
+    expect: { paths: { "$.balance": 1 } },
+  },
+  {
+    method: "transfer",
+    params: [COLLECTION, COLLECTOR, RECEIVER, 1],
+    description: "holder transfers a token",
+    expect: {
+      match: {
+        owner: RECEIVER,
+        collection: { tokens: { 1: { owner: RECEIVER } } },
+      },
+    },
+  },
+  {
+    method: "transfer",
+    params: [COLLECTION, RECEIVER, COLLECTOR, 1],
+    description: "only the holder can transfer",
+    expect: { error: 4 },
+  },
+];
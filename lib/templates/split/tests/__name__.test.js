@@ -0,0 +1,42 @@
+// PSCE Test File
+// Run with: psce test {{name}}
+
+// Any address strings work in /previewScenario. Each test passes the shares
+// and balances it needs, the node keeps nothing between calls.
+const ALICE = "ALICE_ADDRESS";
+const BOB = "BOB_ADDRESS";
+
+const SHARES = { [ALICE]: 70, [BOB]: 30 };
+
+module.exports = [
+  {
+    method: "init",
+    params: ["NOT_THE_OWNER", { [ALICE]: 100 }],
+    description: "other addresses cannot set the shares",
+    expect: { error: 1 },
+  },
+  {
+    method: "pay",
+    params: [SHARES, {}, 1001],
+    description: "payment is split by shares",
+    expect: { match: { payments: { [ALICE]: 701, [BOB]: 300 } } },
+  },
+  {
+    method: "balanceOf",
+    params: [{ [ALICE]: 701, [BOB]: 300 }, BOB],
+    description: "payee balance",
+    expect: { paths: { "$.balance": 300 } },
+  },
+  {
+    method: "withdraw",
+    params: [{ [ALICE]: 701 }, BOB],
+    description: "payees without a balance cannot withdraw",
+    expect: { error: 3 },
+  },
+  {
+    method: "payees",
+    params: [SHARES],
+    description: "payees and their shares",
+    expect: { paths: { "$.payees": { $length: 2 } } },
+  },
+];
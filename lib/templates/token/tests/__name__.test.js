@@ -0,0 +1,68 @@
+// PSCE Test File
+// Run with: psce test {{name}}
+
+// Any address strings work in /previewScenario. Each test passes the state it
+// needs, the node keeps nothing between calls.
+const HOLDER = "HOLDER_ADDRESS";
+const RECEIVER = "RECEIVER_ADDRESS";
+const SPENDER = "SPENDER_ADDRESS";
+
+module.exports = [
+  {
+    method: "init",
+    params: ["NOT_THE_OWNER", "Stolen", "STL", 1],
+    description: "other addresses cannot initialize",
+    expect: { error: 1 },
+  },
+  {
+    method: "transfer",
+    params: [{ [HOLDER]: 1000 }, HOLDER, RECEIVER, 250],
+    description: "holder transfers tokens",
+    expect: {
+      match: { balance: 750, balances: { [HOLDER]: 750, [RECEIVER]: 250 } },
+    },
+  },
+  {
+    method: "transfer",
+    params: [{ [HOLDER]: 1000 }, RECEIVER, HOLDER, 1],
+    description: "transfer without balance fails",
+    expect: { error: 3 },
+  },
+  {
+    method: "balanceOf",
+    params: [{ [HOLDER]: 750, [RECEIVER]: 250 }, RECEIVER],
+    description: "receiver balance",
+    expect: { returnedData: { error: 0, balance: 250 } },
+  },
+  {
+    method: "totalSupply",
+    params: [{ [HOLDER]: 750, [RECEIVER]: 250 }],
+    description: "total supply",
+    expect: { paths: { "$.supply": 1000 } },
+  },
+  {
+    method: "approve",
+    params: [{}, HOLDER, SPENDER, 100],
+    description: "holder approves a spender",
+    expect: { match: { allowances: { [`${HOLDER}:${SPENDER}`]: 100 } } },
+  },
+  {
+    method: "allowance",
+    params: [{ [`${HOLDER}:${SPENDER}`]: 100 }, HOLDER, SPENDER],
+    description: "spender allowance",
+    expect: { paths: { "$.allowance": 100 } },
+  },
+  {
+    method: "transferFrom",
+    params: [
+      { [HOLDER]: 1000 },
+      { [`${HOLDER}:${SPENDER}`]: 100 },
+      SPENDER,
+      HOLDER,
+      RECEIVER,
+      150,
+    ],
+    description: "spender cannot exceed the allowance",
+    expect: { error: 4 },
+  },
+];
@@ -0,0 +1,48 @@
+// PSCE Test File
+// Run with: psce test {{name}}
+
+// Any address strings work in /previewScenario. Each test passes the poll it
+// needs, the node keeps nothing between calls.
+const VOTER = "VOTER_ADDRESS";
+
+const POLL = {
+  question: "Ship the release?",
+  options: ["yes", "no"],
+  votes: { [VOTER]: "yes" },
+  open: true,
+};
+
+module.exports = [
+  {
+    method: "init",
+    params: ["NOT_THE_OWNER", "Ship the release?", ["yes", "no"]],
+    description: "other addresses cannot open a poll",
+    expect: { error: 1 },
+  },
+  {
+    method: "vote",
+    params: [{ ...POLL, votes: {} }, VOTER, "yes"],
+    description: "voter votes",
+    expect: { match: { option: "yes", poll: { votes: { [VOTER]: "yes" } } } },
+  },
+  {
+    method: "vote",
+    params: [POLL, VOTER, "no"],
+    description: "an address votes only once",
+    expect: { error: 4 },
+  },
+  {
+    method: "close",
+    params: ["NOT_THE_OWNER", POLL],
+    description: "other addresses cannot close the poll",
+    expect: { error: 1 },
+  },
+  {
+    method: "results",
+    params: [POLL],
+    description: "vote counts and the winner",
+    expect: {
+      match: { open: true, counts: { yes: 1, no: 0 }, winner: "yes" },
+    },
+  },
+];